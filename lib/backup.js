@@ -0,0 +1,266 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import * as syncRecords from './syncRecords.js';
+import * as tasks from './tasks.js';
+import * as vcReferences from './vcReferences.js';
+import assert from 'assert-plus';
+import {createInterface} from 'node:readline';
+import {Readable} from 'node:stream';
+
+const {util: {BedrockError}} = bedrock;
+
+const EXPORT_TYPE = 'VcIssuerCoordinatorStorageExport';
+const EXPORT_VERSION = 1;
+
+// exportable collections and the unique key of each of their records; VC
+// reference history entries are unique per `sequence` of a record and store
+// their tenant ID in `history.tenantId`
+const COLLECTIONS = new Map([
+  ['vcReferences', {
+    collectionName: vcReferences.COLLECTION_NAME, key: 'reference.credentialId'
+  }],
+  ['vcReferenceHistory', {
+    collectionName: vcReferences.HISTORY_COLLECTION_NAME,
+    key: 'history.credentialId', versionKey: 'history.sequence',
+    tenantKey: 'history.tenantId'
+  }],
+  ['tasks', {collectionName: tasks.COLLECTION_NAME, key: 'task.id'}],
+  ['syncRecords', {collectionName: syncRecords.COLLECTION_NAME, key: 'sync.id'}]
+]);
+
+const IMPORT_MODES = new Set(['skip', 'overwrite', 'fail']);
+
+/**
+ * Exports the records in the given collections as a stream of newline
+ * delimited JSON (NDJSON). The first line is a header with `type`, `version`,
+ * `created`, and `collections`, and each following line is an object with
+ * the `collection` and the `record` as it is stored in the database. Records
+ * with encrypted properties (e.g., task secrets) are exported in their
+ * encrypted form, so the same keys must be configured wherever the records
+ * are imported in order to use them. `Date` values are expressed as
+ * `{"$date": "<ISO 8601 date>"}`.
+ *
+ * @param {object} options - The options to use.
+ * @param {Array<string>} [options.collections] - The collections to export,
+ *   any of `vcReferences`, `vcReferenceHistory`, `tasks`, and `syncRecords`
+ *   (default: all).
+ * @param {object} [options.query={}] - A query to apply to every exported
+ *   collection, e.g., `{'meta.updated': {$gte: <timestamp>}}`.
+ *
+ * @returns {Readable} A readable stream of NDJSON text.
+ */
+export function exportRecords({
+  collections = [...COLLECTIONS.keys()], query = {}
+} = {}) {
+  assert.arrayOfString(collections, 'collections');
+  assert.object(query, 'query');
+  for(const collection of collections) {
+    _getCollectionInfo({collection});
+  }
+  return Readable.from(_exportLines({collections, query}));
+}
+
+/**
+ * Imports records from a stream of newline delimited JSON (NDJSON) that was
+ * produced by `exportRecords()`. Records are written as they are read, so if
+ * an error occurs, any records imported before it remain.
+ *
+ * The `mode` determines what happens when a record with the same unique ID
+ * (`credentialId`, task `id`, or sync `id`; or `credentialId` and `sequence`
+ * for a VC reference history entry) already exists for the same tenant:
+ * `skip` leaves the existing record as is, `overwrite` replaces it, and
+ * `fail` throws a `DuplicateError`.
+ *
+ * @param {object} options - The options to use.
+ * @param {Readable} options.stream - The NDJSON stream to read.
+ * @param {string} [options.mode='fail'] - The duplicate handling mode, one of
+ *   `skip`, `overwrite`, or `fail`.
+ *
+ * @returns {Promise<object>} Resolves with an object with `importedCount`
+ *   and `skippedCount`.
+ */
+export async function importRecords({stream, mode = 'fail'} = {}) {
+  assert.object(stream, 'stream');
+  assert.string(mode, 'mode');
+  if(!IMPORT_MODES.has(mode)) {
+    throw new TypeError(
+      '"mode" must be one of "skip", "overwrite", or "fail".');
+  }
+
+  let importedCount = 0;
+  let skippedCount = 0;
+  let lineNumber = 0;
+  let header;
+  const lines = createInterface({input: stream, crlfDelay: Infinity});
+  for await (const line of lines) {
+    ++lineNumber;
+    if(line.trim() === '') {
+      continue;
+    }
+    const entry = _parseLine({line, lineNumber});
+    if(!header) {
+      _assertHeader({header: entry, lineNumber});
+      header = entry;
+      continue;
+    }
+    const {collection, record} = entry;
+    const info = _getCollectionInfo({collection, lineNumber});
+    const id = _getRecordId({
+      record, key: info.key, versionKey: info.versionKey, lineNumber
+    });
+    if(await _importRecord({...info, id, record, mode})) {
+      ++importedCount;
+    } else {
+      ++skippedCount;
+    }
+    if(collection === 'vcReferences') {
+      // clear any in-memory cache entries
+      const tenantId = record.meta?.tenantId;
+      vcReferences.CACHE.delete(
+        vcReferences._getCacheKey({tenantId, credentialId: id}));
+      vcReferences._evictNotFound({tenantId, credentialId: id});
+    }
+  }
+
+  if(!header) {
+    throw _createDataError({message: 'Missing export header.', lineNumber});
+  }
+
+  return {importedCount, skippedCount};
+}
+
+function _assertHeader({header, lineNumber}) {
+  if(header?.type !== EXPORT_TYPE) {
+    throw _createDataError({
+      message: `Export header "type" must be "${EXPORT_TYPE}".`, lineNumber
+    });
+  }
+  if(header.version !== EXPORT_VERSION) {
+    throw _createDataError({
+      message: `Unsupported export version "${header.version}".`, lineNumber
+    });
+  }
+}
+
+function _createDataError({message, lineNumber, cause}) {
+  return new BedrockError(message, {
+    name: 'DataError',
+    details: {httpStatusCode: 400, public: true, lineNumber},
+    cause
+  });
+}
+
+async function* _exportLines({collections, query}) {
+  yield _stringify({
+    type: EXPORT_TYPE,
+    version: EXPORT_VERSION,
+    created: new Date().toISOString(),
+    collections
+  }) + '\n';
+
+  for(const collection of collections) {
+    const {collectionName} = _getCollectionInfo({collection});
+    const cursor = database.collections[collectionName].find(
+      query, {projection: {_id: 0}});
+    try {
+      for await (const record of cursor) {
+        yield _stringify({collection, record}) + '\n';
+      }
+    } finally {
+      await cursor.close();
+    }
+  }
+}
+
+function _getCollectionInfo({collection, lineNumber}) {
+  const info = COLLECTIONS.get(collection);
+  if(!info) {
+    const message = `Unknown collection "${collection}".`;
+    if(lineNumber === undefined) {
+      throw new TypeError(message);
+    }
+    throw _createDataError({message, lineNumber});
+  }
+  return info;
+}
+
+function _getRecordId({record, key, versionKey, lineNumber}) {
+  const id = _getValue({record, key});
+  if(typeof id !== 'string') {
+    throw _createDataError({
+      message: `Record "${key}" must be a string.`, lineNumber
+    });
+  }
+  if(versionKey !== undefined &&
+    typeof _getValue({record, key: versionKey}) !== 'number') {
+    throw _createDataError({
+      message: `Record "${versionKey}" must be a number.`, lineNumber
+    });
+  }
+  return id;
+}
+
+function _getValue({record, key}) {
+  return key.split('.').reduce((value, p) => value?.[p], record);
+}
+
+async function _importRecord({
+  collectionName, key, versionKey, tenantKey = 'meta.tenantId', id, record,
+  mode
+}) {
+  const collection = database.collections[collectionName];
+  if(mode === 'overwrite') {
+    const query = {
+      [tenantKey]: _getValue({record, key: tenantKey}) ?? null, [key]: id
+    };
+    if(versionKey !== undefined) {
+      query[versionKey] = _getValue({record, key: versionKey});
+    }
+    await collection.replaceOne(query, record, {upsert: true});
+    return true;
+  }
+  try {
+    await collection.insertOne(record);
+    return true;
+  } catch(cause) {
+    if(!database.isDuplicateError(cause)) {
+      throw cause;
+    }
+    if(mode === 'skip') {
+      return false;
+    }
+    throw new BedrockError(`Duplicate record "${id}".`, {
+      name: 'DuplicateError',
+      details: {httpStatusCode: 409, public: true},
+      cause
+    });
+  }
+}
+
+function _parseLine({line, lineNumber}) {
+  try {
+    return JSON.parse(line, (key, value) => {
+      // restore `Date` values
+      if(typeof value?.$date === 'string' && Object.keys(value).length === 1) {
+        return new Date(value.$date);
+      }
+      return value;
+    });
+  } catch(cause) {
+    throw _createDataError({message: 'Invalid JSON.', lineNumber, cause});
+  }
+}
+
+function _stringify(value) {
+  return JSON.stringify(value, function(key, value) {
+    // express `Date` values such that they can be restored on import
+    const original = this[key];
+    if(original instanceof Date) {
+      return {$date: original.toISOString()};
+    }
+    return value;
+  });
+}
@@ -0,0 +1,228 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {
+  _evictNotFound, _getCacheKey, _NOT_FOUND_CACHE, _parseCacheKey, CACHE,
+  COLLECTION_NAME
+} from './vcReferences.js';
+import {logger} from './logger.js';
+import {setTimeout as setTimeoutPromise} from 'node:timers/promises';
+
+// MongoDB error code for a change stream used w/o a replica set
+const MDBE_CHANGE_STREAM_NOT_SUPPORTED = 40573;
+
+// delay before reopening a change stream that failed
+const CHANGE_STREAM_RESTART_DELAY = 1000;
+
+let STOPPED = true;
+let CHANGE_STREAM;
+let POLL_TIMER;
+// a scheduled clearing of the entire cache (see `_evict()`)
+let CLEAR_IMMEDIATE;
+
+bedrock.events.on('bedrock.ready', async () => {
+  _start();
+});
+
+bedrock.events.on('bedrock.stop', async () => {
+  await _stop();
+});
+
+/**
+ * Evicts every in-memory VC reference cache entry that no longer matches its
+ * database record, i.e., the record was updated or removed (possibly by
+ * another process), and every not found cache entry for a record that now
+ * exists. This is run periodically in `poll` invalidation mode.
+ *
+ * @returns {Promise<number>} Resolves with the number of evicted entries.
+ */
+export async function _pollOnce() {
+  const evicted = await _pollNotFound();
+  return evicted + await _pollFound();
+}
+
+async function _pollFound() {
+  // get `meta.updated` for every settled, cached record
+  const cached = new Map();
+  for(const [key, promise] of CACHE.cache.entries()) {
+    try {
+      const record = await promise;
+      cached.set(key, {promise, updated: record.meta.updated});
+    } catch(e) {
+      // rejected entries are removed from the cache automatically
+    }
+  }
+  if(cached.size === 0) {
+    return 0;
+  }
+
+  const current = await _findRecords({keys: [...cached.keys()]});
+
+  let evicted = 0;
+  for(const [key, {promise, updated}] of cached) {
+    // only evict if the cache entry hasn't been replaced in the meantime
+    if(current.get(key)?.meta.updated !== updated &&
+      CACHE.cache.get(key) === promise) {
+      CACHE.delete(key);
+      evicted++;
+    }
+  }
+  return evicted;
+}
+
+async function _pollNotFound() {
+  const keys = [..._NOT_FOUND_CACHE.cache.keys()];
+  if(keys.length === 0) {
+    return 0;
+  }
+
+  const current = await _findRecords({keys});
+  for(const key of current.keys()) {
+    _evictNotFound(_parseCacheKey(key));
+  }
+  return current.size;
+}
+
+// exported for testing purposes only
+export function _evict(change) {
+  const record = change.fullDocument ?? change.fullDocumentBeforeChange;
+  const credentialId = record?.reference?.credentialId;
+  if(credentialId !== undefined) {
+    const tenantId = record.meta?.tenantId;
+    CACHE.delete(_getCacheKey({tenantId, credentialId}));
+    if(change.operationType === 'insert') {
+      _evictNotFound({tenantId, credentialId});
+    }
+    return;
+  }
+  // affected record is unknown (e.g., a delete w/o a pre-image or an update
+  // to a record that has since been deleted); the entire cache must be
+  // cleared, but this is deferred until the changes already read w/this one
+  // have been processed so that the cache is cleared at most once per batch
+  // of changes, e.g., when many records are removed
+  if(CLEAR_IMMEDIATE === undefined) {
+    CLEAR_IMMEDIATE = setImmediate(() => {
+      CLEAR_IMMEDIATE = undefined;
+      CACHE.cache.clear();
+    });
+  }
+}
+
+async function _findRecords({keys} = {}) {
+  // query the credential IDs of each tenant separately
+  const tenants = new Map();
+  for(const key of keys) {
+    const {tenantId = null, credentialId} = _parseCacheKey(key);
+    const credentialIds = tenants.get(tenantId) ?? [];
+    credentialIds.push(credentialId);
+    tenants.set(tenantId, credentialIds);
+  }
+  const query = {
+    $or: [...tenants].map(([tenantId, credentialIds]) => ({
+      'meta.tenantId': tenantId,
+      'reference.credentialId': {$in: credentialIds}
+    }))
+  };
+
+  // return the current records by cache key
+  const collection = database.collections[COLLECTION_NAME];
+  const records = await collection.find(query, {
+    projection: {
+      _id: 0, 'reference.credentialId': 1, 'meta.tenantId': 1,
+      'meta.updated': 1
+    }
+  }).toArray();
+  return new Map(records.map(record => [_getCacheKey({
+    tenantId: record.meta.tenantId,
+    credentialId: record.reference.credentialId
+  }), record]));
+}
+
+function _getConfig() {
+  const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+  return cfg.caches.vcReference.invalidation;
+}
+
+function _poll() {
+  const {pollInterval} = _getConfig();
+  const run = async () => {
+    try {
+      await _pollOnce();
+    } catch(error) {
+      logger.error(error.message, {error});
+    }
+    if(!STOPPED) {
+      POLL_TIMER = setTimeout(run, pollInterval);
+      POLL_TIMER.unref();
+    }
+  };
+  POLL_TIMER = setTimeout(run, pollInterval);
+  POLL_TIMER.unref();
+}
+
+function _start() {
+  const {mode} = _getConfig() ?? {};
+  if(!mode) {
+    return;
+  }
+  if(!(mode === 'changeStream' || mode === 'poll')) {
+    throw new TypeError(
+      'VC reference cache invalidation "mode" must be "changeStream" or ' +
+      '"poll".');
+  }
+  STOPPED = false;
+  if(mode === 'poll') {
+    _poll();
+    return;
+  }
+  _watch().catch(error => logger.error(error.message, {error}));
+}
+
+async function _stop() {
+  STOPPED = true;
+  clearTimeout(POLL_TIMER);
+  POLL_TIMER = undefined;
+  clearImmediate(CLEAR_IMMEDIATE);
+  CLEAR_IMMEDIATE = undefined;
+  await CHANGE_STREAM?.close();
+  CHANGE_STREAM = undefined;
+}
+
+async function _watch() {
+  const collection = database.collections[COLLECTION_NAME];
+  while(!STOPPED) {
+    CHANGE_STREAM = collection.watch([], {
+      // include the current record for updates and the prior record, when
+      // pre-images are enabled on the collection, for deletes
+      fullDocument: 'updateLookup',
+      fullDocumentBeforeChange: 'whenAvailable'
+    });
+    try {
+      for await (const change of CHANGE_STREAM) {
+        _evict(change);
+      }
+    } catch(error) {
+      if(STOPPED) {
+        break;
+      }
+      if(error.code === MDBE_CHANGE_STREAM_NOT_SUPPORTED) {
+        logger.warning(
+          'Change streams are not supported by the database; falling back ' +
+          'to polling for VC reference cache invalidation.');
+        await CHANGE_STREAM.close();
+        _poll();
+        return;
+      }
+      logger.error(error.message, {error});
+    }
+    await CHANGE_STREAM?.close();
+    if(STOPPED) {
+      break;
+    }
+    // changes may have been missed; clear cache before watching again
+    CACHE.cache.clear();
+    await setTimeoutPromise(CHANGE_STREAM_RESTART_DELAY);
+  }
+}
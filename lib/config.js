@@ -11,7 +11,131 @@ cfg.caches = {
     // 1000 means 1000 of the most popular cached entries can stay in memory
     max: 1000,
     // 5 minutes
-    ttl: 5 * 60 * 1000
+    ttl: 5 * 60 * 1000,
+    // evicts entries on every process when VC reference records are changed
+    // by any process
+    invalidation: {
+      // `null` to disable, 'changeStream' to use a MongoDB change stream
+      // (requires a replica set; falls back to 'poll' if unsupported), or
+      // 'poll' to periodically check cached entries against the database;
+      // w/'changeStream', a removed record is only evicted by itself if
+      // change stream pre-images are enabled on the VC reference collection,
+      // otherwise the cache is cleared once per batch of changes w/removals
+      mode: null,
+      // 10 seconds
+      pollInterval: 10 * 1000
+    },
+    // cache statistics (see `vcReferences.getCacheStats()`)
+    stats: {
+      // time in milliseconds between emitting the
+      // `bedrock-vc-issuer-coordinator-storage.vcReferenceCache.stats` event
+      // with the current statistics; `null` to disable
+      eventInterval: null,
+      // number of most frequently hit cache entries to include in statistics
+      hotKeyCount: 10
+    }
+  },
+  // remembers credential IDs that were not found by `vcReferences.get()`;
+  // note that only inserts made by the same process (or seen via cache
+  // invalidation) evict entries, so `ttl` should be kept short
+  vcReferenceNotFound: {
+    enabled: false,
+    max: 1000,
+    // 5 seconds
+    ttl: 5 * 1000
+  }
+};
+
+// custom indexes to create along with the built-in indexes; each entry is
+// an object with `fields` and optional MongoDB index `options` (e.g.,
+// `unique`, `partialFilterExpression`, `collation`); a warning is logged at
+// startup for any index in the database that is not built-in or listed here
+cfg.indexes = {
+  // VC reference records; note that only VC reference properties that are
+  // not encrypted (see `vcReferences.recordEncryption.nonSecretProperties`)
+  // are useful to index
+  vcReferences: [],
+  /*
+  vcReferences: [{
+    fields: {'reference.subjectName': 1},
+    options: {
+      unique: false,
+      partialFilterExpression: {'reference.subjectName': {$exists: true}},
+      collation: {locale: 'en', strength: 2}
+    }
+  }],*/
+  // task records
+  tasks: [],
+  // sync records
+  syncRecords: []
+};
+
+// continuation tokens returned from `findPage()` APIs
+cfg.pageTokens = {
+  // HMAC key used to make page tokens tamper-evident; if not set, a random
+  // key is generated at startup and page tokens can then only be used with
+  // the same process that created them
+  hmacKey: null
+  /*
+  hmacKey: {
+    id: '<a key identifier>',
+    secretKeyMultibase: '<multibase encoding of an AES-256 secret key>'
+  }*/
+};
+
+cfg.vcReferences = {
+  lifecycle: {
+    // periodically marks as `abandoned` or removes VC reference records that
+    // have remained in the `reserved` state (never marked as `issued`) for
+    // longer than `threshold`
+    sweeper: {
+      enabled: false,
+      // 'abandon' to mark swept records as `abandoned`, 'remove' to remove
+      action: 'abandon',
+      // 1 hour
+      interval: 60 * 60 * 1000,
+      // 7 days
+      threshold: 7 * 24 * 60 * 60 * 1000
+    }
+  },
+  // append-only history of VC reference records; when enabled, each prior
+  // version of a record is stored whenever the record is updated
+  history: {
+    enabled: false,
+    // time in milliseconds to keep history entries; `null` to keep forever;
+    // a change here only affects history entries stored after the change
+    retention: null
+  },
+  // used to encrypt the properties of VC references that are stored in VC
+  // reference records
+  recordEncryption: {
+    // current key encryption key for wrapping randomly-generated content
+    // encryption keys used to encrypt VC reference properties at record
+    // write time; existing VC reference records are unaffected by a
+    // configuration change here until they are next written
+    kek: null,
+    /*
+    kek: {
+      id: '<a key identifier>',
+      secretKeyMultibase: '<multibase encoding of an AES-256 secret key>'
+    }*/
+    // VC reference properties to leave unencrypted in addition to
+    // `credentialId`, `sequence`, and `indexAllocator`; any property used
+    // in a query must be listed here
+    nonSecretProperties: []
+  },
+  expiration: {
+    // time in milliseconds to keep VC reference records after their
+    // `expires` date before they are automatically removed; only applied
+    // when the index is first created, so changing it requires dropping the
+    // `meta.expires` index
+    // 24 hours
+    gracePeriod: 24 * 60 * 60 * 1000
+  },
+  validation: {
+    // JSON schema that every VC reference must match when it is written;
+    // `null` to disable; may also be set via `vcReferences.setValidator()`
+    schema: null
   }
 };
 
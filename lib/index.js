@@ -2,8 +2,12 @@
  * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
  */
 import './config.js';
+import './cacheInvalidation.js';
 
+export * from './backup.js';
 export * from './sync.js';
+export * from './tenancy.js';
+export * as syncDeadLetters from './syncDeadLetters.js';
 export * as syncRecords from './syncRecords.js';
 export * as tasks from './tasks.js';
 export * as vcReferences from './vcReferences.js';
@@ -0,0 +1,105 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+import {logger} from './logger.js';
+
+// MongoDB error code for dropping an index that does not exist
+const MDBE_INDEX_NOT_FOUND = 27;
+
+// collection name => names of its legacy indexes
+const LEGACY_INDEXES = new Map();
+
+/**
+ * Creates the given built-in indexes for a collection along with any custom
+ * indexes configured for it under `indexes[configKey]`. Once done, if
+ * `configKey` is given, a warning is logged for every index in the database
+ * that is neither built-in, configured, nor a known `legacyIndexes` entry.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.collectionName - The name of the collection.
+ * @param {string} [options.configKey] - The key of the collection's custom
+ *   indexes in the `indexes` configuration, if it has any.
+ * @param {Array<object>} options.indexes - The built-in indexes.
+ * @param {Array<string>} [options.legacyIndexes=[]] - The names of indexes
+ *   that were built-in in previous versions; these are not dropped here (see
+ *   `dropLegacyIndexes()`).
+ *
+ * @returns {Promise} Resolves once the indexes have been created.
+ */
+export async function createIndexes({
+  collectionName, configKey, indexes, legacyIndexes = []
+}) {
+  const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+  const custom = configKey === undefined ? [] : cfg.indexes[configKey] ?? [];
+  assert.arrayOfObject(custom, `indexes.${configKey}`);
+
+  indexes = [
+    ...indexes,
+    ...custom.map(({fields, options = {}}, i) => {
+      assert.object(fields, `indexes.${configKey}[${i}].fields`);
+      assert.object(options, `indexes.${configKey}[${i}].options`);
+      return {collection: collectionName, fields, options};
+    })
+  ];
+  await database.createIndexes(indexes);
+  LEGACY_INDEXES.set(collectionName, legacyIndexes);
+
+  if(configKey === undefined) {
+    return;
+  }
+
+  // warn about indexes that were created by something else, such as an
+  // application's own `bedrock-mongodb.ready` handler
+  const expected = new Set([
+    _getKeyId({key: {_id: 1}}),
+    ...indexes.map(({fields}) => _getKeyId({key: fields}))
+  ]);
+  const collection = database.collections[collectionName];
+  const existing = await collection.indexes();
+  for(const {name, key} of existing) {
+    if(!(expected.has(_getKeyId({key})) || legacyIndexes.includes(name))) {
+      logger.warning(
+        'Database index not found in configuration; add it to ' +
+        `"indexes.${configKey}" to ensure it is created.`,
+        {collection: collectionName, index: name, key});
+    }
+  }
+}
+
+/**
+ * Drops the legacy indexes of a collection, i.e., the `legacyIndexes` given
+ * when its indexes were created. Indexes that do not exist are skipped.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.collectionName - The name of the collection.
+ *
+ * @returns {Promise<Array<string>>} Resolves with the names of the indexes
+ *   that were dropped.
+ */
+export async function dropLegacyIndexes({collectionName}) {
+  const collection = database.collections[collectionName];
+  const dropped = [];
+  for(const name of LEGACY_INDEXES.get(collectionName) ?? []) {
+    try {
+      await collection.dropIndex(name);
+      dropped.push(name);
+      logger.info(`Dropped legacy index "${name}".`, {
+        collection: collectionName
+      });
+    } catch(e) {
+      // index already dropped (or never created)
+      if(e.code !== MDBE_INDEX_NOT_FOUND) {
+        throw e;
+      }
+    }
+  }
+  return dropped;
+}
+
+function _getKeyId({key}) {
+  // key order is significant in MongoDB indexes
+  return Object.entries(key).map(([k, v]) => `${k}:${v}`).join(',');
+}
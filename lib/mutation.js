@@ -0,0 +1,70 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {setTimeout} from 'node:timers/promises';
+
+// backoff between conflicting read-modify-write attempts
+const BASE_DELAY = 50;
+const MAX_DELAY = 1000;
+
+/**
+ * Performs a read-modify-write of a record, retrying whenever the write fails
+ * because the record was changed by another writer after it was read. The
+ * record is re-read before every attempt and attempts after the first are
+ * delayed using exponential backoff with jitter.
+ *
+ * @param {object} options - The options to use.
+ * @param {Function} options.read - A function that reads the latest record.
+ * @param {Function} options.write - A function that is called with `{record}`
+ *   and writes the mutated record with a `sequence` check.
+ * @param {Function} [options.onConflict] - A function to call whenever the
+ *   write conflicts with another writer.
+ * @param {number} options.maxRetries - The maximum number of retries.
+ *
+ * @returns {Promise<*>} Resolves with the result of `write`.
+ */
+export async function mutate({read, write, onConflict, maxRetries} = {}) {
+  for(let retries = 0; ; ++retries) {
+    if(retries > 0) {
+      await setTimeout(getBackoffDelay({retries}));
+    }
+    const record = await read();
+    try {
+      return await write({record});
+    } catch(e) {
+      if(!_isConflictError(e)) {
+        throw e;
+      }
+      onConflict?.();
+      if(retries >= maxRetries) {
+        throw e;
+      }
+    }
+  }
+}
+
+/**
+ * Gets the delay before a retry using exponential backoff with "full jitter",
+ * i.e., a random delay of up to `baseDelay * 2 ** (retries - 1)`
+ * milliseconds, capped at `maxDelay`.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} options.retries - The number of the retry, starting at 1.
+ * @param {number} [options.baseDelay=50] - The maximum delay, in
+ *   milliseconds, before the first retry.
+ * @param {number} [options.maxDelay=1000] - The maximum delay in
+ *   milliseconds.
+ *
+ * @returns {number} The delay in milliseconds.
+ */
+export function getBackoffDelay({
+  retries, baseDelay = BASE_DELAY, maxDelay = MAX_DELAY
+} = {}) {
+  // "full jitter": a random delay up to the exponential backoff
+  const delay = Math.min(baseDelay * (2 ** (retries - 1)), maxDelay);
+  return Math.floor(Math.random() * delay);
+}
+
+function _isConflictError(e) {
+  return e?.name === 'InvalidStateError' && e.details?.expected !== undefined;
+}
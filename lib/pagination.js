@@ -0,0 +1,139 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+import canonicalize from 'canonicalize';
+import crypto from 'node:crypto';
+import {loadSecretKey} from './secretKeys.js';
+
+const {util: {BedrockError}} = bedrock;
+
+const PAGE_TOKEN_VERSION = 1;
+
+// HMAC key used to create and verify page tokens
+let HMAC_KEY;
+bedrock.events.on('bedrock.init', () => {
+  _loadKey();
+});
+
+/**
+ * Retrieves a page of records from a collection using keyset pagination on
+ * the given `key`, which must be a uniquely indexed field with values that
+ * are JSON-serializable. The returned `nextPageToken` is an opaque,
+ * tamper-evident token that embeds the query and the position of the last
+ * returned record; it is `null` when there are no more records.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.collectionName - The name of the collection.
+ * @param {string} options.key - The uniquely indexed field to paginate on.
+ * @param {object} [options.query] - The query to use; must be JSON
+ *   serializable; it may be omitted when `pageToken` is given.
+ * @param {object} [options.filter] - A query that records must also match;
+ *   unlike `query`, it is not embedded in the page token, so it must be
+ *   given with every page (e.g., to restrict records to a tenant).
+ * @param {number} [options.limit=100] - The maximum number of records to
+ *   return.
+ * @param {string} [options.pageToken] - A `nextPageToken` returned from a
+ *   previous call.
+ *
+ * @returns {Promise<object>} Resolves to an object with `records` and
+ *   `nextPageToken`.
+ */
+export async function findPage({
+  collectionName, key, query, filter, limit = 100, pageToken
+} = {}) {
+  assert.optionalObject(query, 'query');
+  assert.optionalObject(filter, 'filter');
+  assert.number(limit, 'limit');
+  assert.optionalString(pageToken, 'pageToken');
+  if(!(Number.isInteger(limit) && limit > 0)) {
+    throw new TypeError('"limit" must be a positive integer.');
+  }
+
+  let after;
+  if(pageToken !== undefined) {
+    const state = _parsePageToken({collectionName, pageToken});
+    if(query !== undefined && canonicalize(query) !== canonicalize(state.q)) {
+      throw new BedrockError(
+        'Query does not match the query embedded in the page token.', {
+          name: 'DataError',
+          details: {httpStatusCode: 400, public: true}
+        });
+    }
+    query = state.q;
+    after = state.a;
+  }
+  query = query ?? {};
+
+  const conditions = [query];
+  if(filter !== undefined) {
+    conditions.push(filter);
+  }
+  if(after !== undefined) {
+    conditions.push({[key]: {$gt: after}});
+  }
+  const pageQuery = conditions.length === 1 ? query : {$and: conditions};
+  const collection = database.collections[collectionName];
+  // fetch one extra record to determine if there are more records
+  const records = await collection.find(pageQuery, {
+    projection: {_id: 0},
+    sort: {[key]: 1},
+    limit: limit + 1
+  }).toArray();
+
+  let nextPageToken = null;
+  if(records.length > limit) {
+    records.length = limit;
+    const last = key.split('.').reduce((v, k) => v?.[k], records.at(-1));
+    nextPageToken = _createPageToken({collectionName, query, after: last});
+  }
+  return {records, nextPageToken};
+}
+
+function _createPageToken({collectionName, query, after} = {}) {
+  const payload = Buffer.from(JSON.stringify({
+    v: PAGE_TOKEN_VERSION, q: query, a: after
+  })).toString('base64url');
+  const mac = _sign({collectionName, payload});
+  return `${payload}.${mac}`;
+}
+
+function _parsePageToken({collectionName, pageToken} = {}) {
+  try {
+    const [payload, mac] = pageToken.split('.');
+    const expected = Buffer.from(_sign({collectionName, payload}));
+    const actual = Buffer.from(mac ?? '');
+    if(!(expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual))) {
+      throw new Error('Page token signature is invalid.');
+    }
+    const state = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if(state.v !== PAGE_TOKEN_VERSION) {
+      throw new Error(`Unsupported page token version "${state.v}".`);
+    }
+    return state;
+  } catch(cause) {
+    throw new BedrockError('Invalid page token.', {
+      name: 'DataError',
+      details: {httpStatusCode: 400, public: true},
+      cause
+    });
+  }
+}
+
+function _sign({collectionName, payload} = {}) {
+  // bind token to the collection so it can't be used with another one
+  return crypto.createHmac('sha256', HMAC_KEY)
+    .update(`${collectionName}.${payload}`)
+    .digest('base64url');
+}
+
+// exported for testing purposes only
+export function _loadKey() {
+  const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+  const {hmacKey} = cfg.pageTokens;
+  HMAC_KEY = hmacKey ?
+    loadSecretKey(hmacKey.secretKeyMultibase) : crypto.randomBytes(32);
+}
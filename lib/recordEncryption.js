@@ -0,0 +1,102 @@
+/*!
+ * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {generalDecrypt, GeneralEncrypt} from 'jose';
+
+const {util: {BedrockError}} = bedrock;
+
+const TEXT_ENCODER = new TextEncoder();
+const TEXT_DECODER = new TextDecoder();
+
+// pass an `object` that may have encrypted secrets from a record and a
+// `getKek(kekId)` function that returns the secret key for a KEK ID
+export async function decryptSecrets({object, getKek} = {}) {
+  if(object.encrypted === undefined) {
+    // nothing to unwrap, return early
+    return object;
+  }
+
+  try {
+    // decrypt encrypted object
+    const {kekId, jwe} = object.encrypted;
+    const secretKey = getKek(kekId);
+    const {plaintext} = await generalDecrypt(jwe, secretKey);
+    const secrets = JSON.parse(TEXT_DECODER.decode(plaintext));
+
+    // new object w/decrypted secrets
+    object = {...object, ...secrets};
+    delete object.encrypted;
+    return object;
+  } catch(cause) {
+    throw new BedrockError('Could not decrypt record secrets.', {
+      name: 'OperationError',
+      cause,
+      details: {
+        public: true,
+        httpStatusCode: 500
+      }
+    });
+  }
+}
+
+// pass an `object` to be stored in a record, the set of its
+// `nonSecretProperties`, the current `kekId` (if any), and a `getKek(kekId)`
+// function that returns the secret key for a KEK ID
+export async function encryptSecrets({
+  object, nonSecretProperties, kekId, getKek
+} = {}) {
+  try {
+    if(object.encrypted !== undefined) {
+      // should not happen; bad call
+      throw new Error(
+        'Could not encrypt record secrets; ' +
+        'record secrets already encrypted.');
+    }
+
+    if(!kekId) {
+      // no KEK config; return early
+      return object;
+    }
+
+    // separate object's non-secret / secret properties
+    const nonSecrets = new Map();
+    const secrets = new Map();
+    for(const prop in object) {
+      const value = object[prop];
+      if(nonSecretProperties.has(prop)) {
+        nonSecrets.set(prop, value);
+        continue;
+      }
+      secrets.set(prop, value);
+    }
+
+    // encrypt secrets
+    const plaintext = _mapToBuffer(secrets);
+    const secretKey = getKek(kekId);
+    const jwe = await new GeneralEncrypt(plaintext)
+      .setProtectedHeader({enc: 'A256GCM'})
+      .addRecipient(secretKey)
+      .setUnprotectedHeader({alg: 'A256KW', kid: kekId})
+      .encrypt();
+
+    // return new object w/encrypted secrets
+    return {
+      ...Object.fromEntries(nonSecrets.entries()),
+      encrypted: {kekId, jwe}
+    };
+  } catch(cause) {
+    throw new BedrockError('Could not encrypt record secrets.', {
+      name: 'OperationError',
+      cause,
+      details: {
+        public: true,
+        httpStatusCode: 500
+      }
+    });
+  }
+}
+
+function _mapToBuffer(m) {
+  return TEXT_ENCODER.encode(JSON.stringify(Object.fromEntries(m.entries())));
+}
@@ -0,0 +1,101 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {decryptSecrets, encryptSecrets} from './recordEncryption.js';
+import {loadSecretKey} from './secretKeys.js';
+import {logger} from './logger.js';
+
+const {util: {BedrockError}} = bedrock;
+
+// reference properties that are never encrypted
+const NON_SECRET_PROPERTIES = new Set([
+  'credentialId', 'sequence', 'indexAllocator'
+]);
+
+// load all KEKs from config
+const KEKS = new Map();
+bedrock.events.on('bedrock.init', () => {
+  _loadKeys();
+});
+
+// pass `reference` from a VC reference `record`
+export async function decryptReferenceSecrets({reference} = {}) {
+  return decryptSecrets({object: reference, getKek: _getKek});
+}
+
+// pass `reference` from a VC reference `record`
+export async function encryptReferenceSecrets({reference} = {}) {
+  // get current KEK ID
+  const cfg = _getConfig();
+  const kekId = cfg.kek?.id;
+  return encryptSecrets({
+    object: reference, nonSecretProperties: _getNonSecretProperties(), kekId,
+    getKek: _getKek
+  });
+}
+
+// pass a VC reference `record`; returns a new record w/decrypted secrets
+export async function decryptRecord({record} = {}) {
+  if(record.reference?.encrypted === undefined) {
+    return record;
+  }
+  return {
+    ...record,
+    reference: await decryptReferenceSecrets({reference: record.reference})
+  };
+}
+
+// returns `true` if the given top-level reference property is encrypted
+// when written according to the current configuration
+export function isSecretProperty(property) {
+  const cfg = _getConfig();
+  return !!cfg.kek?.id && !_getNonSecretProperties().has(property);
+}
+
+function _getConfig() {
+  const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+  return cfg.vcReferences.recordEncryption;
+}
+
+function _getKek(id) {
+  const secretKey = KEKS.get(id);
+  if(secretKey) {
+    return secretKey;
+  }
+  throw new BedrockError(`Key encryption key "${id}" not found.`, {
+    name: 'NotFoundError',
+    details: {
+      public: true,
+      httpStatusCode: 400
+    }
+  });
+}
+
+function _getNonSecretProperties() {
+  const {nonSecretProperties = []} = _getConfig();
+  return new Set([...NON_SECRET_PROPERTIES, ...nonSecretProperties]);
+}
+
+// exported for testing purposes only
+export function _loadKeys() {
+  KEKS.clear();
+  const {kek} = _getConfig();
+  if(!kek) {
+    logger.info('VC reference record encryption is disabled.');
+    return;
+  }
+  if(!(kek.id && typeof kek.id === 'string')) {
+    throw new BedrockError(
+      'Invalid VC reference key encryption key configuration; ' +
+      'key "id" must be a string.', {
+        name: 'DataError',
+        details: {
+          public: true,
+          httpStatusCode: 400
+        }
+      });
+  }
+  KEKS.set(kek.id, loadSecretKey(kek.secretKeyMultibase));
+  logger.info('VC reference record encryption is enabled.');
+}
@@ -0,0 +1,60 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import Ajv from 'ajv';
+
+const {util: {BedrockError}} = bedrock;
+
+const AJV = new Ajv({allErrors: true});
+
+// compiled JSON schema validation function for VC references
+let VALIDATE;
+
+bedrock.events.on('bedrock.init', () => {
+  const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+  setValidator({schema: cfg.vcReferences.validation.schema});
+});
+
+/**
+ * Sets the JSON schema used to validate VC references before they are
+ * written. Any previously set schema (including one from configuration) is
+ * replaced.
+ *
+ * @param {object} options - Options to use.
+ * @param {object|null} options.schema - The JSON schema to use or `null` to
+ *   disable validation.
+ */
+export function setValidator({schema} = {}) {
+  if(schema === null || schema === undefined) {
+    VALIDATE = undefined;
+    return;
+  }
+  if(typeof schema !== 'object') {
+    throw new TypeError('"schema" must be an object or null.');
+  }
+  VALIDATE = AJV.compile(schema);
+}
+
+// returns `true` if a VC reference schema has been set
+export function isValidatorSet() {
+  return VALIDATE !== undefined;
+}
+
+// throws a `DataError` if `reference` does not match the current schema
+export function validateReference({reference} = {}) {
+  if(!VALIDATE || VALIDATE(reference)) {
+    return;
+  }
+  const errors = VALIDATE.errors.map(
+    ({instancePath, schemaPath, keyword, params, message}) =>
+      ({instancePath, schemaPath, keyword, params, message}));
+  throw new BedrockError('VC reference does not match schema.', {
+    name: 'DataError',
+    details: {
+      httpStatusCode: 400,
+      public: true,
+      errors
+    }
+  });
+}
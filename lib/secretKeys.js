@@ -0,0 +1,64 @@
+/*!
+ * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+
+const {util: {BedrockError}} = bedrock;
+
+/* Multikey registry IDs and encoded header values
+aes-256 | 0xa2 | 256-bit AES symmetric key
+*/
+const SUPPORTED_KEY_TYPES = new Map([
+  ['aes-256', {header: new Uint8Array([0xa2, 0x01]), size: 32}]
+]);
+
+// loads a secret key from a multibase-encoded multikey
+export function loadSecretKey(secretKeyMultibase) {
+  if(!secretKeyMultibase?.startsWith('u')) {
+    throw new BedrockError(
+      'Unsupported multibase header; ' +
+      '"u" for base64url-encoding must be used.', {
+        name: 'NotSupportedError',
+        details: {
+          public: true,
+          httpStatusCode: 400
+        }
+      });
+  }
+
+  // check multikey header
+  let keyType;
+  let secretKey;
+  const multikey = Buffer.from(secretKeyMultibase.slice(1), 'base64url');
+  for(const [type, {header, size}] of SUPPORTED_KEY_TYPES) {
+    if(multikey[0] === header[0] && multikey[1] === header[1]) {
+      keyType = type;
+      if(multikey.length !== (2 + size)) {
+        // intentionally do not report what was detected because a
+        // misconfigured secret could have its first two bytes revealed
+        throw new BedrockError(
+          'Incorrect multikey size or invalid multikey header.', {
+            name: 'DataError',
+            details: {
+              public: true,
+              httpStatusCode: 400
+            }
+          });
+      }
+      secretKey = multikey.subarray(2);
+      break;
+    }
+  }
+  if(keyType === undefined) {
+    throw new BedrockError(
+      'Unsupported multikey type; only AES-256 is supported.', {
+        name: 'NotSupportedError',
+        details: {
+          public: true,
+          httpStatusCode: 400
+        }
+      });
+  }
+
+  return secretKey;
+}
@@ -2,16 +2,29 @@
  * Copyright (c) 2024-2025 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import * as syncDeadLetters from './syncDeadLetters.js';
 import * as syncRecords from './syncRecords.js';
 import * as vcReferences from './vcReferences.js';
+import {
+  createContentId, expandCredentialStatus, serializeError
+} from './utils.js';
 import assert from 'assert-plus';
-import {expandCredentialStatus} from './utils.js';
+import {getBackoffDelay} from './mutation.js';
 import {logger} from './logger.js';
 import PQueue from 'p-queue';
+import {setTimeout} from 'node:timers/promises';
 import {zcapClient} from './zcapClient.js';
 
 const {util: {BedrockError}} = bedrock;
+const {STATES} = vcReferences;
 const ROOT_ZCAP_PREFIX = 'urn:zcap:root:';
+// maximum number of error causes to inspect when classifying an error
+const MAX_CAUSE_DEPTH = 10;
+// error codes for network failures that are likely to be transient
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'ENOTFOUND',
+  'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'
+]);
 
 /**
  * Synchronizes status tracked by both a remote VC API status instance and
@@ -74,10 +87,85 @@ const ROOT_ZCAP_PREFIX = 'urn:zcap:root:';
  * `vcReference` records do not have any actually issued VCs associated with
  * them.
  *
+ * Implementations that track the lifecycle state of `vcReference` records
+ * (marking them as `issued` via `vcReferences.markIssued()` once their VCs
+ * have actually been issued) may instead pass `options.skipNonIssued=true`.
+ * This will cause any update for a `vcReference` record that is in the
+ * `reserved` or `abandoned` state to be skipped entirely: neither the status
+ * service nor the `vcReference` record will be updated. Records without any
+ * lifecycle state (created before lifecycle states were introduced) are
+ * treated as `issued`.
+ *
+ * If `options.recordStatus=true` is passed, each status value that is
+ * successfully written to the status service is also recorded on the
+ * `vcReference` record (see `vcReferences.setStatus()`) under
+ * `meta.status[statusPurpose]` along with the time it was written and the
+ * `syncId`. These records can then be queried locally, e.g.,
+ * `vcReferences.find({query: {'meta.status.revocation.value': true}})`.
+ *
+ * The returned `results` array has one entry per update, in order, with the
+ * `credentialId`, the `outcome` of the update, the number of `attempts` made,
+ * and the `duration` of those attempts in milliseconds. The `outcome` is one
+ * of: `applied`; `already-applied` if the update was completed by a previous
+ * call for the same batch; `skipped-not-found` if the VC was not found and
+ * `ignoreCredentialNotFound=true` (any `referenceUpdate` is still applied);
+ * `skipped-non-issued` if the update was skipped due to `skipNonIssued`;
+ * `failed`, with the `error` that occurred; `dead-lettered`, with the `error`
+ * that occurred, if `deadLetter=true` (see below); or `not-attempted` if the
+ * update was not started because another update failed. If any update
+ * fails, the first such error is thrown once all started updates have
+ * finished, with the `results` in its `details` (with each `error` converted
+ * to a plain object); an error that is not a `BedrockError` is first wrapped
+ * in one, named `AbortError` for an abort and `OperationError` otherwise.
+ *
+ * Progress through each batch of updates is checkpointed: as each update
+ * completes (is applied, skipped, or dead-lettered), a key derived from its
+ * content (its `credentialId`, `status`, and `referenceUpdate`) is recorded
+ * on the sync record. If the sync halts part way through a batch, e.g., due
+ * to an error or a process crash, the next call receives the same `cursor`
+ * and any update in the new batch that matches a recorded key is not applied
+ * again; only the remaining updates are retried. The recorded keys are
+ * cleared once the batch completes and the cursor is advanced.
+ *
+ * An update that fails is retried according to `options.retry`: up to
+ * `maxAttempts` attempts are made, waiting between attempts for an
+ * exponentially increasing delay with "full jitter", i.e., a random delay of
+ * up to `baseDelay * 2 ** (attempt - 1)` milliseconds, capped at `maxDelay`.
+ * Only errors for which `shouldRetry({error, update, attempt})` returns
+ * `true` are retried; by default, `isRetryableError()` is used, which retries
+ * network errors and 5xx responses but not 4xx responses or a
+ * `ConstraintError`. An abort via `options.signal` ends any delay early.
+ *
+ * If `options.deadLetter=true` is passed, an update that still fails after
+ * it has been retried does not halt the sync. Instead, the update (without
+ * its `reference` or capabilities) is stored in a dead letter record along
+ * with the `syncId`, the error, and the history of attempts made to apply
+ * it, and the sync continues as if the update had been applied, i.e., the
+ * cursor is advanced once the other updates have been applied. Dead letter
+ * records can be listed and discarded via `syncDeadLetters.find()` and
+ * `syncDeadLetters.remove()` and replayed via `replayDeadLetter()`. Note
+ * that an abort still halts the sync.
+ *
+ * If `options.dryRun=true` is passed, the updates are fetched from
+ * `getStatusUpdates()` and each VC is fetched and checked (its credential
+ * status entry is matched and its index allocator is checked) as usual, but
+ * nothing is written: the status service, the `vcReference` records, and the
+ * sync record (including its cursor) are left unchanged. Instead, a `plan`
+ * is returned with one entry per update, in order, that has the
+ * `credentialId` and either the matched `credentialStatus` entry (or `null`
+ * if the VC was not found and `ignoreCredentialNotFound=true`), the
+ * `indexAllocator`, the target status `value`, and any `referenceUpdate`;
+ * `skipped: true` if the update would be skipped due to `skipNonIssued`;
+ * `alreadyApplied: true` if the update was completed by a previous call for
+ * the same batch; or the `error` that would have occurred.
+ *
  * @param {object} options - Options to use.
  * @param {string} options.syncId - A unique ID for the external system to
  *   sync with; used to internally track sychronization progress with that
  *   system over multiple sync calls.
+ * @param {string} [options.tenantId] - The ID of the tenant whose sync record
+ *   and `vcReference` records are used; if not given, only records that do
+ *   not belong to a tenant are used.
  * @param {Function} options.getStatusUpdates - The function to call to get
  *   updates from an external status tracking system that need to be applied to
  *   both a remote status instance and local storage.
@@ -93,29 +181,41 @@ const ROOT_ZCAP_PREFIX = 'urn:zcap:root:';
  *     verifiable credential's status at the associated status service, but
  *     still apply the `vcReference` record update; by default these errors
  *     will cause the sync to halt.
+ *   {boolean} [options.options.skipNonIssued=false] - Set to `true` to skip
+ *     any update for a `vcReference` record whose lifecycle state is
+ *     `reserved` or `abandoned`.
+ *   {boolean} [options.options.recordStatus=false] - Set to `true` to record
+ *     each status value written to the status service on the `vcReference`
+ *     record.
+ *   {object} [options.options.retry] - The retry policy for failed updates:
+ *     {number} [maxAttempts=3] - The maximum number of attempts per update.
+ *     {number} [baseDelay=100] - The delay, in milliseconds, before jitter
+ *       is applied, to wait before the second attempt; it doubles with each
+ *       further attempt.
+ *     {number} [maxDelay=5000] - The maximum delay in milliseconds.
+ *     {Function} [shouldRetry=isRetryableError] - A function that is
+ *       passed `{error, update, attempt}` and returns `true` if the update
+ *       should be attempted again.
+ *   {boolean} [options.options.deadLetter=false] - Set to `true` to store
+ *     updates that fail in dead letter records instead of halting the sync.
+ *   {boolean} [options.options.dryRun=false] - Set to `true` to check the
+ *     updates and return a `plan` without writing anything.
  *
  * @returns {Promise<object>} Resolves to an object with `updateCount` set to
- *   the number of updates that occurred.
+ *   the number of updates that occurred, `hasMore`, and `results` or, for a
+ *   dry run, `plan`.
  */
 export async function syncCredentialStatus({
-  syncId, getStatusUpdates, options
+  syncId, tenantId, getStatusUpdates, options
 } = {}) {
-  options = {
-    // only supported options
-    concurrency: options?.concurrency ?? 4,
-    signal: options?.signal ?? undefined,
-    limit: options?.limit ?? 100,
-    ignoreCredentialNotFound: options?.ignoreCredentialNotFound ?? false
-  };
+  options = _getOptions({options});
   let updateCount = 0;
   let hasMore = false;
+  let results;
   try {
     // get previous `cursor` value from storage
-    const syncRecord = await syncRecords.get({
-      id: syncId,
-      create: true
-    });
-    const {sync: {cursor: existingCursor}} = syncRecord;
+    const syncRecord = await _getSyncRecord({syncId, tenantId, options});
+    const existingCursor = syncRecord?.sync.cursor;
 
     // get status updates to be applied to bring storage into sync
     // with some external status tracking system
@@ -128,30 +228,70 @@ export async function syncCredentialStatus({
     // validate all status update objects
     updates.forEach(update => _assertStatusUpdate(update));
 
+    // get keys of any updates completed by a previous call for this batch
+    const completed = new Set(syncRecord?.sync.progress?.completed);
+    const keys = await Promise.all(updates.map(
+      update => _getUpdateKey({update})));
+
+    if(options.dryRun) {
+      const plan = await _planUpdates({
+        syncId, tenantId, updates, keys, completed, options
+      });
+      return {updateCount, hasMore: cursor.hasMore ?? false, plan};
+    }
+
     // process updates efficiently in parallel
-    const queue = new PQueue({
-      autoStart: true,
-      // maximum number of updates to attempt at once
-      concurrency: options?.concurrency ?? 4,
-      // maximum updates per second to avoid DoS of remote systems
-      intervalCap: 60,
-      // one second internal
-      interval: 1000
+    const queue = _createQueue({options});
+    queue.on('completed', applied => {
+      if(applied) {
+        updateCount++;
+      }
     });
-    queue.on('completed', () => updateCount++);
 
-    // for any error that occurs in the task queue
+    // for the first error that occurs in the task queue
     let error;
 
-    for(const update of updates) {
+    results = updates.map(update => ({
+      credentialId: update.credentialId ?? update.reference.credentialId,
+      outcome: 'not-attempted',
+      attempts: 0,
+      duration: 0
+    }));
+    for(const [index, update] of updates.entries()) {
+      const result = results[index];
+      const key = keys[index];
+      if(completed.has(key)) {
+        result.outcome = 'already-applied';
+        continue;
+      }
       queue.add(async () => {
-        // update status w/ one retry attempt if necessary
-        return _updateStatus({update, options}).catch(
-          () => _updateStatus({update, options}));
+        const attempts = [];
+        let applied = true;
+        try {
+          await _applyUpdate({
+            syncId, tenantId, update, options, result, attempts
+          });
+        } catch(e) {
+          if(!options.deadLetter || e.name === 'AbortError') {
+            throw e;
+          }
+          // set the update aside so it does not halt the sync
+          await syncDeadLetters.insert({
+            id: key, syncId, tenantId, update, error: e, attempts
+          });
+          result.outcome = 'dead-lettered';
+          applied = false;
+        }
+        // checkpoint the update so it is not applied again if this batch
+        // must be retried
+        await syncRecords.checkpoint({
+          id: syncId, tenantId, sequence: syncRecord.sync.sequence, key
+        });
+        return applied;
       }).catch(e => {
         // save any `error` var to be thrown at the end and clear queue to
         // stop any tasks that haven't started
-        error = e;
+        error = error ?? e;
         queue.clear();
       });
     }
@@ -160,19 +300,20 @@ export async function syncCredentialStatus({
     await queue.onIdle();
 
     if(error) {
-      throw error;
+      throw _addResults({error, results});
     }
 
     options?.signal?.throwIfAborted();
 
-    // update sync record with new cursor
-    await syncRecords.update({
-      sync: {
-        ...syncRecord.sync,
-        sequence: syncRecord.sync.sequence + 1,
-        cursor
-      }
-    });
+    // update sync record with new cursor, clearing the progress of the
+    // completed batch
+    const sync = {
+      ...syncRecord.sync,
+      sequence: syncRecord.sync.sequence + 1,
+      cursor
+    };
+    delete sync.progress;
+    await syncRecords.update({sync, tenantId});
 
     hasMore = cursor.hasMore ?? false;
   } catch(error) {
@@ -180,7 +321,267 @@ export async function syncCredentialStatus({
     throw error;
   }
 
-  return {updateCount, hasMore};
+  return {updateCount, hasMore, results};
+}
+
+/**
+ * Returns whether an error that occurred while applying a status update is
+ * likely to be transient, i.e., whether the update should be retried. The
+ * innermost error in the error's `cause` chain that has an HTTP status or a
+ * network error code decides; the `OperationError`s that wrap it do not.
+ * Network errors, timeouts, and 5xx responses are retried; 4xx responses, a
+ * `ConstraintError`, an `AbortError`, and any other errors are not.
+ *
+ * @param {object} options - The options to use.
+ * @param {Error} options.error - The error to classify.
+ *
+ * @returns {boolean} `true` if the error is retryable, `false` if not.
+ */
+export function isRetryableError({error} = {}) {
+  const chain = [];
+  for(let e = error; e && chain.length < MAX_CAUSE_DEPTH; e = e.cause) {
+    chain.push(e);
+  }
+  for(const e of chain.reverse()) {
+    if(e.name === 'AbortError' || e.name === 'ConstraintError') {
+      return false;
+    }
+    if(e.name === 'TimeoutError' || NETWORK_ERROR_CODES.has(e.code) ||
+      (typeof e.code === 'string' && e.code.startsWith('UND_ERR_'))) {
+      return true;
+    }
+    const status = e.status ?? e.response?.status ??
+      (e.name === 'OperationError' ? undefined : e.details?.httpStatusCode);
+    if(typeof status === 'number') {
+      return status >= 500;
+    }
+  }
+  return false;
+}
+
+/**
+ * Replays a status update that was stored in a dead letter record by
+ * `syncCredentialStatus()` with `options.deadLetter=true`. The update is
+ * applied in the same way as it would be during a sync, using the given
+ * capabilities, as dead letter records do not store them, and reading the
+ * `vcReference` record again. If the update is applied (or skipped), the
+ * dead letter record is removed; otherwise, an error is thrown and the
+ * record is kept.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The ID of the dead letter record.
+ * @param {string} options.syncId - The ID of the sync the update is from.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
+ * @param {string|object} options.getCredentialCapability - The capability to
+ *   use to get the VC.
+ * @param {string|object} options.updateStatusCapability - The capability to
+ *   use to update the VC's status.
+ * @param {object} [options.options] - The options to apply the update with,
+ *   any of `signal`, `ignoreCredentialNotFound`, `skipNonIssued`, and
+ *   `recordStatus`; see `syncCredentialStatus()`.
+ *
+ * @returns {Promise<object>} Resolves to an object with the `credentialId`
+ *   and either the matched `credentialStatus` entry (or `null` if the VC was
+ *   not found and `ignoreCredentialNotFound=true`), the `indexAllocator`, the
+ *   status `value`, and any `referenceUpdate`; or `skipped: true` if the
+ *   update was skipped due to `skipNonIssued`.
+ */
+export async function replayDeadLetter({
+  id, syncId, tenantId, getCredentialCapability, updateStatusCapability,
+  options
+} = {}) {
+  assert.string(id, 'id');
+  assert.string(syncId, 'syncId');
+  assert.optionalString(tenantId, 'tenantId');
+  _assertCapability(getCredentialCapability, 'getCredentialCapability');
+  _assertCapability(updateStatusCapability, 'updateStatusCapability');
+  options = {..._getOptions({options}), dryRun: false};
+
+  try {
+    const {deadLetter} = await syncDeadLetters.get({id, syncId, tenantId});
+    const update = {
+      ...deadLetter.update, getCredentialCapability, updateStatusCapability
+    };
+    const result = await _updateStatus({syncId, tenantId, update, options});
+    await syncDeadLetters.remove({id, syncId, tenantId});
+    return result;
+  } catch(error) {
+    logger.error(error.message, {error});
+    throw error;
+  }
+}
+
+function _addResults({error, results}) {
+  // errors are converted to plain objects to avoid a circular reference
+  // from the thrown error to its own result
+  const details = {
+    results: results.map(result => result.error ?
+      {...result, error: serializeError({error: result.error})} : result)
+  };
+  if(error instanceof BedrockError) {
+    error.details = {...error.details, ...details};
+    return error;
+  }
+  const name = error.name === 'AbortError' ? 'AbortError' : 'OperationError';
+  return new BedrockError('Could not sync credential status.', {
+    name,
+    details: {httpStatusCode: 500, public: true, ...details},
+    cause: error
+  });
+}
+
+async function _applyUpdate({
+  syncId, tenantId, update, options, result, attempts = []
+}) {
+  const {retry, signal} = options;
+  const start = Date.now();
+  try {
+    // update status, retrying according to the retry policy
+    let updateResult;
+    while(!updateResult) {
+      try {
+        updateResult = await _attemptUpdate({
+          syncId, tenantId, update, options, result, attempts
+        });
+      } catch(error) {
+        const attempt = result.attempts;
+        if(attempt >= retry.maxAttempts || error.name === 'AbortError' ||
+          !retry.shouldRetry({error, update, attempt})) {
+          throw error;
+        }
+        // rejects w/an `AbortError` if `signal` is aborted
+        const {baseDelay, maxDelay} = retry;
+        const delay = getBackoffDelay({retries: attempt, baseDelay, maxDelay});
+        await setTimeout(delay, undefined, {signal});
+      }
+    }
+    if(updateResult.skipped) {
+      result.outcome = 'skipped-non-issued';
+    } else if(updateResult.credentialStatus === null) {
+      result.outcome = 'skipped-not-found';
+    } else {
+      result.outcome = 'applied';
+    }
+  } catch(error) {
+    result.outcome = 'failed';
+    result.error = error;
+    throw error;
+  } finally {
+    result.duration = Date.now() - start;
+  }
+}
+
+async function _attemptUpdate({
+  syncId, tenantId, update, options, result, attempts
+}) {
+  result.attempts++;
+  const started = Date.now();
+  try {
+    return await _updateStatus({syncId, tenantId, update, options});
+  } catch(error) {
+    attempts.push({started, duration: Date.now() - started, error});
+    throw error;
+  }
+}
+
+function _createQueue({options}) {
+  return new PQueue({
+    autoStart: true,
+    // maximum number of updates to attempt at once
+    concurrency: options?.concurrency ?? 4,
+    // maximum updates per second to avoid DoS of remote systems
+    intervalCap: 60,
+    // one second internal
+    interval: 1000
+  });
+}
+
+function _getOptions({options}) {
+  return {
+    // only supported options
+    concurrency: options?.concurrency ?? 4,
+    signal: options?.signal ?? undefined,
+    limit: options?.limit ?? 100,
+    ignoreCredentialNotFound: options?.ignoreCredentialNotFound ?? false,
+    skipNonIssued: options?.skipNonIssued ?? false,
+    recordStatus: options?.recordStatus ?? false,
+    retry: _getRetryOptions({retry: options?.retry}),
+    deadLetter: options?.deadLetter ?? false,
+    dryRun: options?.dryRun ?? false
+  };
+}
+
+function _getRetryOptions({retry = {}}) {
+  assert.object(retry, 'options.retry');
+  const {
+    maxAttempts = 3, baseDelay = 100, maxDelay = 5000,
+    shouldRetry = isRetryableError
+  } = retry;
+  assert.number(maxAttempts, 'options.retry.maxAttempts');
+  assert.number(baseDelay, 'options.retry.baseDelay');
+  assert.number(maxDelay, 'options.retry.maxDelay');
+  assert.func(shouldRetry, 'options.retry.shouldRetry');
+  if(maxAttempts < 1) {
+    throw new RangeError('"options.retry.maxAttempts" must be at least 1.');
+  }
+  return {maxAttempts, baseDelay, maxDelay, shouldRetry};
+}
+
+async function _getSyncRecord({syncId, tenantId, options}) {
+  // a dry run must not create the sync record
+  try {
+    return await syncRecords.get({
+      id: syncId,
+      tenantId,
+      create: !options.dryRun
+    });
+  } catch(e) {
+    if(!(options.dryRun && e.name === 'NotFoundError')) {
+      throw e;
+    }
+    return null;
+  }
+}
+
+async function _getUpdateKey({update}) {
+  // `reference` and capabilities are excluded as they may differ when the
+  // same update is fetched again, e.g., `reference.sequence` changes once
+  // its `referenceUpdate` has been applied
+  const {credentialId, reference, status, referenceUpdate} = update;
+  const content = {
+    credentialId: credentialId ?? reference.credentialId,
+    status
+  };
+  if(referenceUpdate !== undefined) {
+    content.referenceUpdate = referenceUpdate;
+  }
+  const {id} = await createContentId({content});
+  return id;
+}
+
+async function _planUpdates({
+  syncId, tenantId, updates, keys, completed, options
+}) {
+  const queue = _createQueue({options});
+  const plan = await Promise.all(updates.map((update, i) => {
+    const credentialId = update.credentialId ?? update.reference.credentialId;
+    if(completed.has(keys[i])) {
+      return {credentialId, alreadyApplied: true};
+    }
+    return queue.add(async () => {
+      try {
+        return await _updateStatus({syncId, tenantId, update, options});
+      } catch(error) {
+        if(error.name === 'AbortError') {
+          throw error;
+        }
+        return {credentialId, value: update.status.value, error};
+      }
+    });
+  }));
+  options.signal?.throwIfAborted();
+  return plan;
 }
 
 function _assertStatusUpdate(update) {
@@ -203,8 +604,15 @@ function _assertStatusUpdate(update) {
       assert.string(update.credentialId, 'update.credentialId');
     }
 
-    // assert optional changes to the VC's reference record
+    // assert optional changes to the VC's reference record; property names
+    // are not paths, so they must not contain `.`
     assert.optionalObject(update.referenceUpdate, 'update.referenceUpdate');
+    for(const key of Object.keys(update.referenceUpdate ?? {})) {
+      if(key.includes('.')) {
+        throw new TypeError(
+          `"update.referenceUpdate" property "${key}" must not contain ".".`);
+      }
+    }
 
     // assert fields for identifying/matching the status in the VC to update
     assert.object(update.status, 'update.status');
@@ -307,8 +715,10 @@ async function _getVerifiableCredential({
   return verifiableCredential;
 }
 
-async function _updateStatus({update, options} = {}) {
-  const {signal, ignoreCredentialNotFound} = options;
+async function _updateStatus({syncId, tenantId, update, options} = {}) {
+  const {
+    signal, ignoreCredentialNotFound, skipNonIssued, recordStatus, dryRun
+  } = options;
 
   const {
     reference: existingReference, referenceUpdate,
@@ -319,6 +729,17 @@ async function _updateStatus({update, options} = {}) {
   try {
     signal?.throwIfAborted();
 
+    if(skipNonIssued) {
+      // skip update if the VC was never issued; the record is read w/o the
+      // in-memory cache as its lifecycle state may have changed recently
+      const {meta} = await vcReferences.get({
+        credentialId, tenantId, useCache: false
+      });
+      if(meta.state !== undefined && meta.state !== STATES.ISSUED) {
+        return {credentialId, skipped: true};
+      }
+    }
+
     // get VC and its reference information
     const [
       verifiableCredential,
@@ -328,30 +749,61 @@ async function _updateStatus({update, options} = {}) {
         credentialId, capability: getCredentialCapability,
         ignoreCredentialNotFound
       }),
-      update.reference ? update : vcReferences.get({credentialId})
+      update.reference ? update : vcReferences.get({credentialId, tenantId})
     ]);
 
     signal?.throwIfAborted();
 
+    // the result of the update (or of the check, for a dry run)
+    const result = {credentialId, credentialStatus: null, value: status.value};
+    if(referenceUpdate) {
+      result.referenceUpdate = referenceUpdate;
+    }
+
     if(!(verifiableCredential === null && ignoreCredentialNotFound)) {
       // update remote statuses before internal status to promote consistency
-      await _updateRemoteStatus({
-        verifiableCredential, reference, updateStatusCapability, status
+      const {credentialStatus, indexAllocator} = await _updateRemoteStatus({
+        verifiableCredential, reference, updateStatusCapability, status,
+        dryRun
       });
+      result.credentialStatus = credentialStatus;
+      if(indexAllocator !== undefined) {
+        result.indexAllocator = indexAllocator;
+      }
+
+      if(recordStatus && !dryRun) {
+        // record the status that was written to the status service
+        await vcReferences.setStatus({
+          credentialId,
+          tenantId,
+          statusPurpose: status.credentialStatus.statusPurpose,
+          value: status.value,
+          indexAllocator,
+          syncId
+        });
+      }
     }
 
     signal?.throwIfAborted();
 
-    // now update local status if `referenceUpdate` was provided
+    if(dryRun) {
+      return result;
+    }
+
+    // now update local status if `referenceUpdate` was provided; only the
+    // properties in `referenceUpdate` are written and the update only
+    // succeeds if `reference` is fresh
     if(referenceUpdate) {
-      await vcReferences.update({
-        reference: {
-          ...reference,
-          ...referenceUpdate,
-          sequence: reference.sequence + 1
-        }
+      // identifying properties are never taken from `referenceUpdate` and
+      // `sequence` is always incremented
+      const set = {...referenceUpdate};
+      delete set.credentialId;
+      delete set.sequence;
+      await vcReferences.patch({
+        credentialId, tenantId, expectedSequence: reference.sequence, set
       });
     }
+    return result;
   } catch(cause) {
     if(cause.name === 'AbortError') {
       throw cause;
@@ -366,7 +818,7 @@ async function _updateStatus({update, options} = {}) {
 }
 
 async function _updateRemoteStatus({
-  verifiableCredential, reference, updateStatusCapability, status
+  verifiableCredential, reference, updateStatusCapability, status, dryRun
 }) {
   const {credentialId} = reference;
 
@@ -389,6 +841,9 @@ async function _updateRemoteStatus({
     const credentialStatus = _matchCredentialStatus({
       verifiableCredential, expand, targetCredentialStatus: target
     });
+    if(dryRun) {
+      return {credentialStatus, indexAllocator};
+    }
 
     // update VC status
     await zcapClient.write({
@@ -400,6 +855,7 @@ async function _updateRemoteStatus({
         status: value
       }
     });
+    return {credentialStatus, indexAllocator};
   } catch(cause) {
     throw new BedrockError(
       'Could not update verifiable credential status.', {
@@ -0,0 +1,237 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {
+  decryptReferenceSecrets, encryptReferenceSecrets
+} from './referenceEncryption.js';
+import {scopeToTenant, serializeError} from './utils.js';
+import assert from 'assert-plus';
+import {createIndexes} from './indexes.js';
+
+const {util: {BedrockError}} = bedrock;
+
+export const COLLECTION_NAME = 'vc-issuer-coordinator-sync-dead-letter';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  const indexes = [{
+    // records w/o a tenant have no `tenantId` and are indexed under `null`
+    collection: COLLECTION_NAME,
+    fields: {
+      'meta.tenantId': 1, 'deadLetter.syncId': 1, 'deadLetter.id': 1
+    },
+    options: {unique: true}
+  }];
+
+  await createIndexes({collectionName: COLLECTION_NAME, indexes});
+});
+
+/**
+ * Inserts a dead letter record for a status update that could not be applied
+ * during an external storage sync. If a dead letter record with the same
+ * `id` already exists for the sync, its `error` and `attempts` are replaced
+ * instead.
+ *
+ * Only the credential ID of the update and the fields that describe the
+ * change (`status`, `expand`, and `referenceUpdate`) are stored; its
+ * `reference` and its capabilities are not. Any `referenceUpdate` properties
+ * that would be encrypted in a VC reference record are encrypted in the same
+ * way.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the record, unique per sync.
+ * @param {string} options.syncId - The ID of the sync the update is from.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to, stored as `meta.tenantId`.
+ * @param {object} options.update - The status update that failed.
+ * @param {Error} options.error - The error that caused the update to fail.
+ * @param {Array<object>} [options.attempts=[]] - The attempts that were made
+ *   to apply the update, each with the time it `started`, its `duration` in
+ *   milliseconds, and its `error`.
+ *
+ * @returns {Promise<object>} Resolves with the dead letter record.
+ */
+export async function insert({
+  id, syncId, tenantId, update, error, attempts = []
+} = {}) {
+  assert.string(id, 'id');
+  assert.string(syncId, 'syncId');
+  assert.optionalString(tenantId, 'tenantId');
+  assert.object(update, 'update');
+  assert.object(error, 'error');
+  assert.arrayOfObject(attempts, 'attempts');
+
+  const now = Date.now();
+  const deadLetter = {
+    id, syncId,
+    update: await _getStoredUpdate({update}),
+    error: serializeError({error}),
+    attempts: attempts.map(attempt => ({
+      ...attempt, error: serializeError({error: attempt.error})
+    }))
+  };
+  const meta = {created: now, updated: now};
+  if(tenantId !== undefined) {
+    meta.tenantId = tenantId;
+  }
+  const record = {deadLetter, meta};
+
+  const collection = database.collections[COLLECTION_NAME];
+  try {
+    await collection.insertOne(record);
+    return _decryptRecord({record: {deadLetter, meta}});
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+  }
+
+  // the same update failed again, e.g., a batch was retried
+  const query = _getRecordQuery({id, syncId, tenantId});
+  await collection.updateOne(query, {
+    $set: {
+      'deadLetter.error': deadLetter.error,
+      'deadLetter.attempts': deadLetter.attempts,
+      'meta.updated': now
+    }
+  });
+  return get({id, syncId, tenantId});
+}
+
+/**
+ * Retrieves a dead letter record.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the record.
+ * @param {string} options.syncId - The ID of the sync the record is from.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
+ *
+ * @returns {Promise<object>} Resolves with the dead letter record.
+ */
+export async function get({id, syncId, tenantId} = {}) {
+  assert.string(id, 'id');
+  assert.string(syncId, 'syncId');
+  assert.optionalString(tenantId, 'tenantId');
+
+  const collection = database.collections[COLLECTION_NAME];
+  const record = await collection.findOne(
+    _getRecordQuery({id, syncId, tenantId}), {projection: {_id: 0}});
+  if(!record) {
+    throw new BedrockError(
+      'Sync dead letter record not found.', {
+        name: 'NotFoundError',
+        details: {httpStatusCode: 404, public: true}
+      });
+  }
+  return _decryptRecord({record});
+}
+
+/**
+ * Retrieves all dead letter records matching the given query.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.syncId] - The ID of the sync whose records to
+ *   retrieve; if not given, records from every sync match.
+ * @param {object} [options.query={}] - An additional query to use.
+ * @param {string} [options.tenantId] - The ID of the tenant whose records to
+ *   query; if not given, only records that do not belong to a tenant match.
+ * @param {object} [options.options={}] - Query options (eg: 'sort', 'limit').
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<Array | ExplainObject>} Resolves with the records that
+ *   matched the query or returns an ExplainObject if `explain=true`.
+ */
+export async function find({
+  syncId, query = {}, tenantId, options = {}, explain = false
+} = {}) {
+  assert.optionalString(syncId, 'syncId');
+  assert.object(query, 'query');
+  assert.optionalString(tenantId, 'tenantId');
+
+  if(syncId !== undefined) {
+    query = {...query, 'deadLetter.syncId': syncId};
+  }
+  query = scopeToTenant({query, tenantId});
+  options = {projection: {_id: 0}, ...options};
+
+  const collection = database.collections[COLLECTION_NAME];
+  const cursor = await collection.find(query, options);
+  if(explain) {
+    return cursor.explain('executionStats');
+  }
+  const records = await cursor.toArray();
+  return Promise.all(records.map(record => _decryptRecord({record})));
+}
+
+/**
+ * Deletes a dead letter record (if it exists), discarding its update.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the record.
+ * @param {string} options.syncId - The ID of the sync the record is from.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
+ *
+ * @returns {Promise<boolean>} Resolves with `true` if the record was deleted
+ *   and `false` if it did not exist.
+ */
+export async function remove({id, syncId, tenantId} = {}) {
+  assert.string(id, 'id');
+  assert.string(syncId, 'syncId');
+  assert.optionalString(tenantId, 'tenantId');
+
+  const collection = database.collections[COLLECTION_NAME];
+  const result = await collection.deleteOne(
+    _getRecordQuery({id, syncId, tenantId}));
+  return result.deletedCount > 0;
+}
+
+async function _decryptRecord({record} = {}) {
+  const {update} = record.deadLetter;
+  if(update.referenceUpdate?.encrypted === undefined) {
+    return record;
+  }
+  const referenceUpdate = await decryptReferenceSecrets({
+    reference: update.referenceUpdate
+  });
+  return {
+    ...record,
+    deadLetter: {...record.deadLetter, update: {...update, referenceUpdate}}
+  };
+}
+
+async function _getStoredUpdate({update} = {}) {
+  const {credentialId, reference, status, expand, referenceUpdate} = update;
+  const stored = {
+    credentialId: credentialId ?? reference.credentialId,
+    status
+  };
+  if(expand !== undefined) {
+    stored.expand = expand;
+  }
+  if(referenceUpdate !== undefined) {
+    stored.referenceUpdate = await encryptReferenceSecrets({
+      reference: referenceUpdate
+    });
+  }
+  return stored;
+}
+
+function _getRecordQuery({id, syncId, tenantId} = {}) {
+  // records w/o a tenant have no `tenantId`, which matches `null`
+  return {
+    'meta.tenantId': tenantId ?? null,
+    'deadLetter.syncId': syncId,
+    'deadLetter.id': id
+  };
+}
+
+/**
+ * An object containing information on the query plan.
+ *
+ * @typedef {object} ExplainObject
+ */
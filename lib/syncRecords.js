@@ -4,6 +4,7 @@
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
 import assert from 'assert-plus';
+import {createIndexes} from './indexes.js';
 
 const {util: {BedrockError}} = bedrock;
 
@@ -13,12 +14,18 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
   await database.openCollections([COLLECTION_NAME]);
 
   const indexes = [{
+    // records w/o a tenant have no `tenantId` and are indexed under `null`
     collection: COLLECTION_NAME,
-    fields: {'sync.id': 1},
+    fields: {'meta.tenantId': 1, 'sync.id': 1},
     options: {unique: true}
   }];
 
-  await database.createIndexes(indexes);
+  await createIndexes({
+    collectionName: COLLECTION_NAME, configKey: 'syncRecords', indexes,
+    // replaced by the tenant-scoped index above; left in place until
+    // `dropLegacyIndexes()` is called
+    legacyIndexes: ['sync.id_1']
+  });
 });
 
 /**
@@ -26,11 +33,14 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
  *
  * @param {object} options - Options to use.
  * @param {string} [options.id] - The ID of the record.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to, stored as `meta.tenantId`; IDs only need to be unique per tenant.
  *
  * @returns {Promise<object>} Resolves with the sync database record.
  */
-export async function create({id} = {}) {
-  return _lazyCreate({id});
+export async function create({id, tenantId} = {}) {
+  assert.optionalString(tenantId, 'tenantId');
+  return _lazyCreate({id, tenantId});
 }
 
 /**
@@ -38,6 +48,8 @@ export async function create({id} = {}) {
  *
  * @param {object} options - Options to use.
  * @param {string} [options.id] - The ID of the record.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
  * @param {boolean} [options.create=false] - Set to true to create
  *   the record if it doesn't already exist.
  * @param {boolean} [options.explain=false] - Set to true to return database
@@ -46,10 +58,13 @@ export async function create({id} = {}) {
  * @returns {Promise<object | ExplainObject>} Resolves with the sync
  *   database record or an ExplainObject if `explain=true`.
  */
-export async function get({id, explain = false, create = false} = {}) {
+export async function get({
+  id, tenantId, explain = false, create = false
+} = {}) {
   assert.string(id, 'id');
+  assert.optionalString(tenantId, 'tenantId');
 
-  const query = {'sync.id': id};
+  const query = _getRecordQuery({id, tenantId});
   const collection = database.collections[COLLECTION_NAME];
   const projection = {_id: 0};
 
@@ -64,7 +79,7 @@ export async function get({id, explain = false, create = false} = {}) {
     const record = await collection.findOne(query, {projection});
     if(!record) {
       if(create) {
-        return _lazyCreate({id});
+        return _lazyCreate({id, tenantId});
       }
       const details = {
         httpStatusCode: 404,
@@ -87,15 +102,18 @@ export async function get({id, explain = false, create = false} = {}) {
  * @param {object} options - The options to use.
  * @param {object} options.sync - The new sync data with `id`
  *   and `sequence` minimally set.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
  * @param {boolean} [options.explain=false] - An optional explain boolean.
  *
  * @returns {Promise<boolean | ExplainObject>} Resolves with `true` on update
  *   success or an ExplainObject if `explain=true`.
  */
-export async function update({sync, explain = false} = {}) {
+export async function update({sync, tenantId, explain = false} = {}) {
   assert.object(sync, 'sync');
   assert.string(sync.id, 'sync.id');
   assert.number(sync.sequence, 'sync.sequence');
+  assert.optionalString(tenantId, 'tenantId');
 
   // build update
   const now = Date.now();
@@ -104,7 +122,7 @@ export async function update({sync, explain = false} = {}) {
 
   const collection = database.collections[COLLECTION_NAME];
   const query = {
-    'sync.id': sync.id,
+    ..._getRecordQuery({id: sync.id, tenantId}),
     'sync.sequence': sync.sequence - 1
   };
 
@@ -133,7 +151,58 @@ export async function update({sync, explain = false} = {}) {
     });
 }
 
-async function _lazyCreate({id} = {}) {
+/**
+ * Records that an update in the current batch of updates of an external
+ * storage sync has completed by adding its `key` to the record's
+ * `sync.progress.completed` array. The record's `sequence` is not changed,
+ * but the key is only added if the record's `sequence` matches, i.e., if the
+ * batch (which starts at the record's `cursor`) is still current. The next
+ * `update()` of the record should remove `sync.progress` as it moves to the
+ * next batch.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the record.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
+ * @param {number} options.sequence - The expected `sequence` of the record.
+ * @param {string} options.key - The key of the completed update.
+ *
+ * @returns {Promise<boolean>} Resolves with `true` on success.
+ */
+export async function checkpoint({id, tenantId, sequence, key} = {}) {
+  assert.string(id, 'id');
+  assert.optionalString(tenantId, 'tenantId');
+  assert.number(sequence, 'sequence');
+  assert.string(key, 'key');
+
+  const collection = database.collections[COLLECTION_NAME];
+  const query = {..._getRecordQuery({id, tenantId}), 'sync.sequence': sequence};
+  const result = await collection.updateOne(query, {
+    $addToSet: {'sync.progress.completed': key},
+    $set: {'meta.updated': Date.now()}
+  });
+  if(result.matchedCount > 0) {
+    return true;
+  }
+
+  throw new BedrockError(
+    'Could not update external storage sync record progress. ' +
+    'Sequence does not match existing record.', {
+      name: 'InvalidStateError',
+      details: {
+        httpStatusCode: 409,
+        public: true,
+        expected: sequence
+      }
+    });
+}
+
+function _getRecordQuery({id, tenantId} = {}) {
+  // records w/o a tenant have no `tenantId`, which matches `null`
+  return {'meta.tenantId': tenantId ?? null, 'sync.id': id};
+}
+
+async function _lazyCreate({id, tenantId} = {}) {
   // initialize status sync record
   try {
     const collection = database.collections[COLLECTION_NAME];
@@ -142,6 +211,9 @@ async function _lazyCreate({id} = {}) {
       meta: {created: now, updated: now},
       sync: {id, sequence: 0}
     };
+    if(tenantId !== undefined) {
+      record.meta.tenantId = tenantId;
+    }
 
     await collection.insertOne(record);
     return record;
@@ -158,7 +230,7 @@ async function _lazyCreate({id} = {}) {
         });
     }
     // ignore duplicate error and return record
-    return get({id});
+    return get({id, tenantId});
   }
 }
 
@@ -2,24 +2,15 @@
  * Copyright (c) 2019-2025 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
-import {generalDecrypt, GeneralEncrypt} from 'jose';
+import {decryptSecrets, encryptSecrets} from './recordEncryption.js';
 import {createContentId} from './utils.js';
+import {loadSecretKey} from './secretKeys.js';
 import {logger} from './logger.js';
 
 const {util: {BedrockError}} = bedrock;
 
-const TEXT_ENCODER = new TextEncoder();
-const TEXT_DECODER = new TextDecoder();
-
 const NON_SECRET_PROPERTIES = new Set(['id', 'sequence', 'expires']);
 
-/* Multikey registry IDs and encoded header values
-aes-256 | 0xa2 | 256-bit AES symmetric key
-*/
-const SUPPORTED_KEY_TYPES = new Map([
-  ['aes-256', {header: new Uint8Array([0xa2, 0x01]), size: 32}]
-]);
-
 // load all HMAC keys and KEKs from config
 const HMAC_KEYS = new Map();
 const KEKS = new Map();
@@ -29,88 +20,18 @@ bedrock.events.on('bedrock.init', () => {
 
 // pass `task` from a task `record`
 export async function decryptTaskSecrets({task} = {}) {
-  if(task.encrypted === undefined) {
-    // nothing to unwrap, return early
-    return task;
-  }
-
-  try {
-    // decrypt encrypted task
-    const {kekId, jwe} = task.encrypted;
-    const secretKey = _getKek(kekId);
-    const {plaintext} = await generalDecrypt(jwe, secretKey);
-    const secrets = JSON.parse(TEXT_DECODER.decode(plaintext));
-
-    // new task object w/decrypted secrets
-    task = {...task, ...secrets};
-    delete task.encrypted;
-    return task;
-  } catch(cause) {
-    throw new BedrockError('Could not decrypt record secrets.', {
-      name: 'OperationError',
-      cause,
-      details: {
-        public: true,
-        httpStatusCode: 500
-      }
-    });
-  }
+  return decryptSecrets({object: task, getKek: _getKek});
 }
 
 // pass `task` from a task `record`
 export async function encryptTaskSecrets({task} = {}) {
-  try {
-    if(task.encrypted !== undefined) {
-      // should not happen; bad call
-      throw new Error(
-        'Could not encrypt record secrets; ' +
-        'record secrets already encrypted.');
-    }
-
-    // get current KEK ID
-    const cfg = _getConfig();
-    const kekId = cfg.kek?.id;
-    if(!kekId) {
-      // no KEK config; return early
-      return task;
-    }
-
-    // separate record task's non-secret / secret properties
-    const nonSecrets = new Map();
-    const secrets = new Map();
-    for(const prop in task) {
-      const value = task[prop];
-      if(NON_SECRET_PROPERTIES.has(prop)) {
-        nonSecrets.set(prop, value);
-        continue;
-      }
-      secrets.set(prop, value);
-    }
-
-    // encrypt task secrets
-    const plaintext = _mapToBuffer(secrets);
-    const secretKey = _getKek(kekId);
-    const jwe = await new GeneralEncrypt(plaintext)
-      .setProtectedHeader({enc: 'A256GCM'})
-      .addRecipient(secretKey)
-      .setUnprotectedHeader({alg: 'A256KW', kid: kekId})
-      .encrypt();
-
-    // return new task object w/encrypted secrets
-    return {
-      ...Object.fromEntries(nonSecrets.entries()),
-      encrypted: {kekId, jwe}
-    };
-  } catch(cause) {
-    throw new BedrockError('Could not encrypt record secrets.', {
-      name: 'OperationError',
-      cause,
-      details: {
-        public: true,
-        httpStatusCode: 500
-      }
-    });
-  }
+  // get current KEK ID
+  const cfg = _getConfig();
+  const kekId = cfg.kek?.id;
+  return encryptSecrets({
+    object: task, nonSecretProperties: NON_SECRET_PROPERTIES, kekId,
+    getKek: _getKek
+  });
 }
 
 // create a task record ID using the task `request`
@@ -165,56 +86,6 @@ function _getConfig() {
   return cfg.tasks.recordEncryption;
 }
 
-function _loadKey(secretKeyMultibase) {
-  if(!secretKeyMultibase?.startsWith('u')) {
-    throw new BedrockError(
-      'Unsupported multibase header; ' +
-      '"u" for base64url-encoding must be used.', {
-        name: 'NotSupportedError',
-        details: {
-          public: true,
-          httpStatusCode: 400
-        }
-      });
-  }
-
-  // check multikey header
-  let keyType;
-  let secretKey;
-  const multikey = Buffer.from(secretKeyMultibase.slice(1), 'base64url');
-  for(const [type, {header, size}] of SUPPORTED_KEY_TYPES) {
-    if(multikey[0] === header[0] && multikey[1] === header[1]) {
-      keyType = type;
-      if(multikey.length !== (2 + size)) {
-        // intentionally do not report what was detected because a
-        // misconfigured secret could have its first two bytes revealed
-        throw new BedrockError(
-          'Incorrect multikey size or invalid multikey header.', {
-            name: 'DataError',
-            details: {
-              public: true,
-              httpStatusCode: 400
-            }
-          });
-      }
-      secretKey = multikey.subarray(2);
-      break;
-    }
-  }
-  if(keyType === undefined) {
-    throw new BedrockError(
-      'Unsupported multikey type; only AES-256 is supported.', {
-        name: 'NotSupportedError',
-        details: {
-          public: true,
-          httpStatusCode: 400
-        }
-      });
-  }
-
-  return secretKey;
-}
-
 // exported for testing purposes only
 export function _loadKeys() {
   HMAC_KEYS.clear();
@@ -244,12 +115,8 @@ export function _loadKeys() {
           }
         });
     }
-    HMAC_KEYS.set(hmacKey.id, _loadKey(hmacKey.secretKeyMultibase));
-    KEKS.set(kek.id, _loadKey(kek.secretKeyMultibase));
+    HMAC_KEYS.set(hmacKey.id, loadSecretKey(hmacKey.secretKeyMultibase));
+    KEKS.set(kek.id, loadSecretKey(kek.secretKeyMultibase));
     logger.info('Task record encryption is enabled.');
   }
 }
-
-function _mapToBuffer(m) {
-  return TEXT_ENCODER.encode(JSON.stringify(Object.fromEntries(m.entries())));
-}
@@ -6,7 +6,11 @@ import * as database from '@bedrock/mongodb';
 import {
   createTaskId, decryptTaskSecrets, encryptTaskSecrets
 } from './taskEncryption.js';
+import {findPage as _findPage} from './pagination.js';
+import {mutate as _mutate} from './mutation.js';
 import assert from 'assert-plus';
+import {createIndexes} from './indexes.js';
+import {scopeToTenant} from './utils.js';
 
 const {util: {BedrockError}} = bedrock;
 
@@ -16,12 +20,13 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
   await database.openCollections([COLLECTION_NAME]);
 
   const indexes = [{
+    // tasks w/o a tenant have no `tenantId` and are indexed under `null`
     collection: COLLECTION_NAME,
-    fields: {'task.id': 1},
+    fields: {'meta.tenantId': 1, 'task.id': 1},
     options: {unique: true}
   }, {
     collection: COLLECTION_NAME,
-    fields: {'meta.created': 1},
+    fields: {'meta.tenantId': 1, 'meta.created': 1},
     options: {unique: false}
   }, {
     // sparse expiration index
@@ -36,7 +41,12 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
     }
   }];
 
-  await database.createIndexes(indexes);
+  await createIndexes({
+    collectionName: COLLECTION_NAME, configKey: 'tasks', indexes,
+    // replaced by the tenant-scoped index above; left in place until
+    // `dropLegacyIndexes()` is called
+    legacyIndexes: ['task.id_1', 'meta.created_1']
+  });
 });
 
 /**
@@ -45,12 +55,15 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
  *
  * @param {object} options - Options to use.
  * @param {object} options.request - The request to insert.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to, stored as `meta.tenantId`; requests only need to be unique per tenant.
  * @param {Date} [options.expires] - An optional expiration date for the record.
  *
  * @returns {Promise<object>} An object with the reference record.
  */
-export async function create({request, expires} = {}) {
+export async function create({request, tenantId, expires} = {}) {
   assert.object(request, 'request');
+  assert.optionalString(tenantId, 'tenantId');
   assert.optionalDate(expires, 'expires');
 
   // create `task` for record
@@ -65,6 +78,9 @@ export async function create({request, expires} = {}) {
   const now = Date.now();
   const collection = database.collections[COLLECTION_NAME];
   const meta = {created: now, updated: now};
+  if(tenantId !== undefined) {
+    meta.tenantId = tenantId;
+  }
   const record = {
     // encrypt any secrets in `task` according to configuration
     task: await encryptTaskSecrets({task}),
@@ -96,14 +112,20 @@ export async function create({request, expires} = {}) {
  *
  * @param {object} options - The options to use.
  * @param {object} options.query - The optional query to use (default: {}).
+ * @param {string} [options.tenantId] - The ID of the tenant whose records to
+ *   query; if not given, only records that do not belong to a tenant match.
  * @param {object} [options.options={}] - Query options (eg: 'sort', 'limit').
  * @param {boolean} [options.explain=false] - An optional explain boolean.
  *
  * @returns {Promise<Array | ExplainObject>} Resolves with the records that
  *   matched the query or returns an ExplainObject if `explain=true`.
  */
-export async function find({query = {}, options = {}, explain = false} = {}) {
+export async function find({
+  query = {}, tenantId, options = {}, explain = false
+} = {}) {
+  assert.optionalString(tenantId, 'tenantId');
   const collection = database.collections[COLLECTION_NAME];
+  query = scopeToTenant({query, tenantId});
 
   if(explain) {
     const cursor = await collection.find(query, options);
@@ -112,10 +134,81 @@ export async function find({query = {}, options = {}, explain = false} = {}) {
 
   const records = await collection.find(query, options).toArray();
   // decrypt task secrets in every record
-  return Promise.all(records.map(async record => {
-    record.task = await decryptTaskSecrets({task: record.task});
-    return record;
-  }));
+  return _decryptRecords({records});
+}
+
+/**
+ * Retrieves a page of task records matching the given query. Records are
+ * ordered by `task.id` and paginated using its index, so pages remain stable
+ * while other records are inserted. To get the next page, pass the returned
+ * `nextPageToken` as `pageToken`; the query embedded in the token is used and
+ * any `query` given must match it. The `nextPageToken` is `null` once there
+ * are no more records.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.query={}] - The query to use; it must be JSON
+ *   serializable.
+ * @param {string} [options.tenantId] - The ID of the tenant whose records to
+ *   query; if not given, only records that do not belong to a tenant match.
+ * @param {number} [options.limit=100] - The maximum number of records to
+ *   return in the page.
+ * @param {string} [options.pageToken] - The token for the page to retrieve.
+ *
+ * @returns {Promise<object>} Resolves with an object with `records` and
+ *   `nextPageToken`.
+ */
+export async function findPage({query, tenantId, limit, pageToken} = {}) {
+  assert.optionalString(tenantId, 'tenantId');
+  const {records, nextPageToken} = await _findPage({
+    collectionName: COLLECTION_NAME, key: 'task.id',
+    query, filter: scopeToTenant({tenantId}), limit, pageToken
+  });
+  // decrypt task secrets in every record
+  return {records: await _decryptRecords({records}), nextPageToken};
+}
+
+/**
+ * Iterates over all task records matching the given query without loading
+ * them into memory all at once. Records are read from the database and have
+ * their task secrets decrypted in batches of `batchSize`. Exiting the
+ * iteration early (e.g., via `break`) closes the underlying database cursor.
+ *
+ * Supported indexes include searching by `meta.created` or `task.expires`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.query - The optional query to use (default: {}).
+ * @param {string} [options.tenantId] - The ID of the tenant whose records to
+ *   query; if not given, only records that do not belong to a tenant match.
+ * @param {object} [options.options={}] - Query options (eg: 'sort', 'limit').
+ * @param {number} [options.batchSize=100] - The number of records to read
+ *   and decrypt at a time.
+ *
+ * @yields {object} Each record that matched the query.
+ */
+export async function* iterate({
+  query = {}, tenantId, options = {}, batchSize = 100
+} = {}) {
+  assert.optionalString(tenantId, 'tenantId');
+  assert.number(batchSize, 'batchSize');
+
+  query = scopeToTenant({query, tenantId});
+  const collection = database.collections[COLLECTION_NAME];
+  const cursor = collection.find(query, {...options, batchSize});
+  try {
+    let records = [];
+    for await (const record of cursor) {
+      records.push(record);
+      if(records.length === batchSize) {
+        yield* await _decryptRecords({records});
+        records = [];
+      }
+    }
+    if(records.length > 0) {
+      yield* await _decryptRecords({records});
+    }
+  } finally {
+    await cursor.close();
+  }
 }
 
 /**
@@ -124,15 +217,18 @@ export async function find({query = {}, options = {}, explain = false} = {}) {
  * @param {object} options - Options to use.
  * @param {string} [options.id] - The ID of the record.
  * @param {object} [options.request] - The request of the record.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
  * @param {boolean} [options.explain=false] - Set to true to return database
  *   query explain information instead of executing database queries.
  *
  * @returns {Promise<object | ExplainObject>} Resolves with the sync
  *   database record or an ExplainObject if `explain=true`.
  */
-export async function get({id, request, explain = false} = {}) {
+export async function get({id, request, tenantId, explain = false} = {}) {
   assert.optionalString(id, 'id');
   assert.optionalObject(request, 'request');
+  assert.optionalString(tenantId, 'tenantId');
   if(!(id || request) || (id && request)) {
     throw new TypeError('One and only one of "id" or "request" must be given.');
   }
@@ -141,7 +237,7 @@ export async function get({id, request, explain = false} = {}) {
     ({id} = await createTaskId({request}));
   }
 
-  const query = {'task.id': id};
+  const query = _getRecordQuery({id, tenantId});
   const collection = database.collections[COLLECTION_NAME];
   const projection = {_id: 0};
 
@@ -177,12 +273,68 @@ export async function get({id, request, explain = false} = {}) {
  * @param {object} options - The options to use.
  * @param {object} options.task - The new task data with `id`
  *   and `sequence` minimally set.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
  * @param {boolean} [options.explain=false] - An optional explain boolean.
  *
  * @returns {Promise<boolean | ExplainObject>} Resolves with `true` on update
  *   success or an ExplainObject if `explain=true`.
  */
-export async function update({task, explain = false} = {}) {
+export async function update({task, tenantId, explain = false} = {}) {
+  assert.optionalString(tenantId, 'tenantId');
+  const result = await _update({task, tenantId, explain});
+  return explain ? result : true;
+}
+
+/**
+ * Atomically applies a read-modify-write mutation to a task record. The
+ * existing record is read and passed to `fn`, which returns the new task,
+ * and the new task is written only if the record has not changed since it
+ * was read. If another writer changed the record in the meantime, the record
+ * is re-read and `fn` is called again, after a backoff delay, up to
+ * `maxRetries` times before the `InvalidStateError` is thrown.
+ *
+ * The `id` and `sequence` of the new task are always set by this function.
+ * If `fn` returns `undefined`, nothing is written and the existing record is
+ * returned. Since `fn` may be called more than once, it should not have side
+ * effects.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the record.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
+ * @param {Function} options.fn - An async function that is called with
+ *   `{record}` and returns the new task.
+ * @param {number} [options.maxRetries=5] - The maximum number of times to
+ *   retry after a conflicting write.
+ *
+ * @returns {Promise<object>} Resolves with the new record.
+ */
+export async function mutate({id, tenantId, fn, maxRetries = 5} = {}) {
+  assert.string(id, 'id');
+  assert.optionalString(tenantId, 'tenantId');
+  assert.func(fn, 'fn');
+  assert.number(maxRetries, 'maxRetries');
+
+  return _mutate({
+    read: () => get({id, tenantId}),
+    async write({record}) {
+      let task = await fn({record: structuredClone(record)});
+      if(task === undefined) {
+        return record;
+      }
+      assert.object(task, 'task');
+      task = {...task, id, sequence: record.task.sequence + 1};
+      const {updated} = await _update({task, tenantId});
+      return {task, meta: {...record.meta, updated}};
+    },
+    maxRetries
+  });
+}
+
+async function _update({task, tenantId, explain = false} = {}) {
+  const {id, sequence} = task;
+
   // encrypt any task secrets according to configuration
   task = await encryptTaskSecrets({task});
 
@@ -193,8 +345,8 @@ export async function update({task, explain = false} = {}) {
 
   const collection = database.collections[COLLECTION_NAME];
   const query = {
-    'task.id': task.id,
-    'task.sequence': task.sequence - 1
+    ..._getRecordQuery({id, tenantId}),
+    'task.sequence': sequence - 1
   };
 
   if(explain) {
@@ -207,7 +359,7 @@ export async function update({task, explain = false} = {}) {
   const result = await collection.updateOne(query, update);
   if(result.modifiedCount > 0) {
     // document modified: success
-    return true;
+    return {updated: now};
   }
 
   throw new BedrockError(
@@ -217,7 +369,7 @@ export async function update({task, explain = false} = {}) {
       details: {
         httpStatusCode: 409,
         public: true,
-        expected: task.sequence - 1
+        expected: sequence - 1
       }
     });
 }
@@ -228,12 +380,15 @@ export async function update({task, explain = false} = {}) {
  * @param {object} options - Options to use.
  * @param {string} [options.id] - The ID of the record.
  * @param {object} [options.request] - The request of the record.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
  *
  * @returns {Promise} Resolves once the deletion completes.
  */
-export async function remove({id, request} = {}) {
+export async function remove({id, request, tenantId} = {}) {
   assert.optionalString(id, 'id');
   assert.optionalObject(request, 'request');
+  assert.optionalString(tenantId, 'tenantId');
   if(!(id || request) || (id && request)) {
     throw new TypeError('One and only one of "id" or "request" must be given.');
   }
@@ -242,12 +397,24 @@ export async function remove({id, request} = {}) {
     ({id} = await createTaskId({request}));
   }
 
-  const query = {'task.id': id};
+  const query = _getRecordQuery({id, tenantId});
   const collection = database.collections[COLLECTION_NAME];
 
   await collection.deleteOne(query);
 }
 
+function _getRecordQuery({id, tenantId} = {}) {
+  // tasks w/o a tenant have no `tenantId`, which matches `null`
+  return {'meta.tenantId': tenantId ?? null, 'task.id': id};
+}
+
+async function _decryptRecords({records} = {}) {
+  return Promise.all(records.map(async record => {
+    record.task = await decryptTaskSecrets({task: record.task});
+    return record;
+  }));
+}
+
 /**
  * An object containing information on the query plan.
  *
@@ -0,0 +1,141 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import * as history from './vcReferenceHistory.js';
+import * as syncDeadLetters from './syncDeadLetters.js';
+import * as syncRecords from './syncRecords.js';
+import * as tasks from './tasks.js';
+import * as vcReferences from './vcReferences.js';
+import {dropLegacyIndexes as _dropLegacyIndexes} from './indexes.js';
+import assert from 'assert-plus';
+
+const {util: {BedrockError}} = bedrock;
+
+// collections w/tenant-scoped records and the field that stores the tenant
+const COLLECTIONS = new Map([
+  ['vcReferences', {
+    collectionName: vcReferences.COLLECTION_NAME, field: 'meta.tenantId'
+  }],
+  ['vcReferenceHistory', {
+    collectionName: history.COLLECTION_NAME, field: 'history.tenantId'
+  }],
+  ['tasks', {collectionName: tasks.COLLECTION_NAME, field: 'meta.tenantId'}],
+  ['syncRecords', {
+    collectionName: syncRecords.COLLECTION_NAME, field: 'meta.tenantId'
+  }],
+  ['syncDeadLetters', {
+    collectionName: syncDeadLetters.COLLECTION_NAME, field: 'meta.tenantId'
+  }]
+]);
+// collections w/unique indexes from before records could have a tenant
+const LEGACY_COLLECTIONS = ['vcReferences', 'tasks', 'syncRecords'];
+
+/**
+ * Assigns every record that does not belong to a tenant to the given tenant.
+ * This is the migration path for records that were created before tenants
+ * were used, e.g., when a deployment that served a single issuer starts to
+ * serve several: once assigned, the records are only visible when the
+ * `tenantId` is given. Records that already belong to a tenant are not
+ * changed.
+ *
+ * Running this again after a failure assigns any remaining records. A
+ * `DuplicateError` is thrown if the tenant already has a record with the
+ * same unique ID as a record being assigned. Note that until
+ * `dropLegacyIndexes()` is called, IDs must still be unique across all
+ * tenants. The in-memory VC reference
+ * caches of the current process are cleared; other processes should be
+ * restarted (or have their caches expire) before the assigned records are
+ * used.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.tenantId - The ID of the tenant to assign records
+ *   to.
+ * @param {Array<string>} [options.collections] - The collections whose
+ *   records to assign, any of `vcReferences`, `vcReferenceHistory`, `tasks`,
+ *   `syncRecords`, and `syncDeadLetters` (default: all).
+ *
+ * @returns {Promise<object>} Resolves with an object with the total
+ *   `modifiedCount` and `collections`, which maps each collection to its
+ *   number of assigned records.
+ */
+export async function assignTenant({
+  tenantId, collections = [...COLLECTIONS.keys()]
+} = {}) {
+  assert.string(tenantId, 'tenantId');
+  assert.arrayOfString(collections, 'collections');
+  for(const collection of collections) {
+    if(!COLLECTIONS.has(collection)) {
+      throw new TypeError(`Unknown collection "${collection}".`);
+    }
+  }
+
+  let modifiedCount = 0;
+  const counts = {};
+  try {
+    for(const collection of collections) {
+      const {collectionName, field} = COLLECTIONS.get(collection);
+      // records w/o a tenant have no tenant field, which matches `null`
+      const result = await database.collections[collectionName].updateMany(
+        {[field]: null}, {$set: {[field]: tenantId}});
+      counts[collection] = result.modifiedCount;
+      modifiedCount += result.modifiedCount;
+    }
+  } catch(cause) {
+    if(!database.isDuplicateError(cause)) {
+      throw cause;
+    }
+    throw new BedrockError(
+      `Tenant "${tenantId}" already has a record with the same ID as a ` +
+      'record being assigned.', {
+        name: 'DuplicateError',
+        details: {httpStatusCode: 409, public: true},
+        cause
+      });
+  } finally {
+    // cached records are now keyed by the wrong tenant
+    vcReferences.CACHE.cache.clear();
+    vcReferences._NOT_FOUND_CACHE.cache.clear();
+  }
+
+  return {modifiedCount, collections: counts};
+}
+
+/**
+ * Drops the unique indexes that were used before records could belong to a
+ * tenant, e.g., the index on `reference.credentialId`. These indexes are left
+ * in place by default so that deployments that do not use tenants are not
+ * changed; until they are dropped, tenants cannot have records with the same
+ * unique ID as another tenant's records (a `DuplicateError` is thrown). The
+ * tenant-scoped indexes that replace them are created at startup.
+ *
+ * Note that the index that supports the shard key of a sharded collection
+ * cannot be dropped; see the 4.0.0 changelog entry for how to migrate a
+ * sharded collection.
+ *
+ * @param {object} options - The options to use.
+ * @param {Array<string>} [options.collections] - The collections whose legacy
+ *   indexes to drop, any of `vcReferences`, `tasks`, and `syncRecords`
+ *   (default: all).
+ *
+ * @returns {Promise<object>} Resolves with an object with `collections`,
+ *   which maps each collection to the names of the indexes that were dropped.
+ */
+export async function dropLegacyIndexes({
+  collections = [...LEGACY_COLLECTIONS]
+} = {}) {
+  assert.arrayOfString(collections, 'collections');
+  for(const collection of collections) {
+    if(!LEGACY_COLLECTIONS.includes(collection)) {
+      throw new TypeError(`Unknown collection "${collection}".`);
+    }
+  }
+
+  const dropped = {};
+  for(const collection of collections) {
+    const {collectionName} = COLLECTIONS.get(collection);
+    dropped[collection] = await _dropLegacyIndexes({collectionName});
+  }
+  return {collections: dropped};
+}
@@ -1,9 +1,12 @@
 /*!
  * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
  */
+import * as bedrock from '@bedrock/core';
 import canonicalize from 'canonicalize';
 import crypto from 'node:crypto';
 
+const {util: {BedrockError}} = bedrock;
+
 const DEFAULT_TERSE_LIST_LENGTH = 67108864;
 
 /**
@@ -102,6 +105,38 @@ export function expandCredentialStatus({
   };
 }
 
+/**
+ * Restricts a query to the records of a tenant or, if no tenant is given, to
+ * the records that do not belong to any tenant (i.e., have no `tenantId`).
+ *
+ * @param {object} options - Options to use.
+ * @param {object} [options.query={}] - The query to restrict.
+ * @param {string} [options.tenantId] - The ID of the tenant.
+ *
+ * @returns {object} The restricted query.
+ */
+export function scopeToTenant({query = {}, tenantId} = {}) {
+  const scope = {'meta.tenantId': tenantId ?? null};
+  return Object.keys(query).length === 0 ? scope : {$and: [scope, query]};
+}
+
+/**
+ * Converts an error to a plain object that can be stored or serialized,
+ * e.g., as JSON. A `BedrockError` is converted along with its `details` and
+ * `cause`; only the `name` and `message` of any other error are kept.
+ *
+ * @param {object} options - Options to use.
+ * @param {Error} options.error - The error to convert.
+ *
+ * @returns {object} The plain object.
+ */
+export function serializeError({error} = {}) {
+  if(error instanceof BedrockError) {
+    return error.toObject();
+  }
+  return {name: error.name, message: error.message};
+}
+
 /**
  * HMAC-SHA-256 hashes a string.
  *
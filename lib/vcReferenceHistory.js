@@ -0,0 +1,135 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+import {createIndexes} from './indexes.js';
+import {decryptRecord} from './referenceEncryption.js';
+
+export const COLLECTION_NAME = 'vc-issuer-coordinator-vc-reference-history';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  const indexes = [{
+    // entries for records w/o a tenant have no `tenantId`
+    collection: COLLECTION_NAME,
+    fields: {
+      'history.tenantId': 1, 'history.credentialId': 1, 'history.sequence': 1
+    },
+    options: {unique: true}
+  }, {
+    // sparse expiration index
+    collection: COLLECTION_NAME,
+    fields: {'meta.expires': 1},
+    options: {
+      // only entries written while a retention period is configured expire
+      partialFilterExpression: {'meta.expires': {$exists: true}},
+      unique: false,
+      expireAfterSeconds: 0
+    }
+  }];
+
+  await createIndexes({collectionName: COLLECTION_NAME, indexes});
+});
+
+/**
+ * Stores a VC reference record as a history entry if history is enabled via
+ * configuration. Storing the same version of a record more than once has no
+ * effect. The record is stored as-is, i.e., any encrypted reference secrets
+ * remain encrypted.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.record - The VC reference record (with `reference`
+ *   and `meta`) to store.
+ *
+ * @returns {Promise<boolean>} Resolves with `true` if a history entry was
+ *   stored and `false` if not.
+ */
+export async function archive({record} = {}) {
+  assert.object(record, 'record');
+  assert.object(record.reference, 'record.reference');
+
+  const cfg = _getConfig();
+  if(!cfg.enabled) {
+    return false;
+  }
+
+  const {reference, meta} = record;
+  const now = Date.now();
+  const entry = {
+    history: {
+      credentialId: reference.credentialId,
+      sequence: reference.sequence,
+      reference,
+      meta
+    },
+    meta: {created: now, updated: now}
+  };
+  if(meta?.tenantId !== undefined) {
+    entry.history.tenantId = meta.tenantId;
+  }
+  if(cfg.retention !== null && cfg.retention !== undefined) {
+    entry.meta.expires = new Date(now + cfg.retention);
+  }
+
+  try {
+    const collection = database.collections[COLLECTION_NAME];
+    await collection.insertOne(entry);
+    return true;
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    // this version of the record has already been stored
+    return false;
+  }
+}
+
+/**
+ * Retrieves all history entries for a VC reference, ordered by `sequence`.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.credentialId - The credential ID of the reference.
+ * @param {string} [options.tenantId] - The ID of the tenant the reference
+ *   belongs to.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<Array | ExplainObject>} Resolves with the history entries
+ *   or an ExplainObject if `explain=true`.
+ */
+export async function find({credentialId, tenantId, explain = false} = {}) {
+  assert.string(credentialId, 'credentialId');
+  assert.optionalString(tenantId, 'tenantId');
+
+  const collection = database.collections[COLLECTION_NAME];
+  const query = {
+    'history.tenantId': tenantId ?? null,
+    'history.credentialId': credentialId
+  };
+  const options = {projection: {_id: 0}, sort: {'history.sequence': 1}};
+
+  if(explain) {
+    const cursor = await collection.find(query, options);
+    return cursor.explain('executionStats');
+  }
+
+  const entries = await collection.find(query, options).toArray();
+  // decrypt reference secrets in every entry
+  return Promise.all(entries.map(async entry => {
+    entry.history = await decryptRecord({record: entry.history});
+    return entry;
+  }));
+}
+
+function _getConfig() {
+  const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+  return cfg.vcReferences.history;
+}
+
+/**
+ * An object containing information on the query plan.
+ *
+ * @typedef {object} ExplainObject
+ */
@@ -3,35 +3,135 @@
  */
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
-import {createContentId as _createContentId} from './utils.js';
+import * as history from './vcReferenceHistory.js';
+import {
+  createContentId as _createContentId, scopeToTenant
+} from './utils.js';
+import {
+  decryptRecord, encryptReferenceSecrets, isSecretProperty
+} from './referenceEncryption.js';
+import {isValidatorSet, validateReference} from './referenceValidation.js';
+import {findPage as _findPage} from './pagination.js';
+import {mutate as _mutate} from './mutation.js';
 import assert from 'assert-plus';
+import canonicalize from 'canonicalize';
+import {createIndexes} from './indexes.js';
+import {logger} from './logger.js';
 import {LruCache} from '@digitalbazaar/lru-memoize';
 
 const {util: {BedrockError}} = bedrock;
 
-// exported to enable business-rule-specific indexes and other capabilities
+// MongoDB duplicate key error codes (bulk write errors report these per write)
+const MDBE_DUPLICATE = 11000;
+const MDBE_DUPLICATE_ON_UPDATE = 11001;
+
+// the number of records read and then changed at a time when many records
+// are removed or swept
+const BATCH_SIZE = 1000;
+
+// exported to enable business-rule-specific capabilities; custom indexes
+// should be declared via the `indexes.vcReferences` configuration
 export const COLLECTION_NAME = 'vc-issuer-coordinator-vc-reference';
+export {COLLECTION_NAME as HISTORY_COLLECTION_NAME} from
+  './vcReferenceHistory.js';
+export {setValidator} from './referenceValidation.js';
+
+// VC reference record lifecycle states (stored in `meta.state`); records
+// created before lifecycle states were introduced have no `meta.state` and
+// are treated as `issued`
+export const STATES = Object.freeze({
+  // the VC reference has been written but the VC has not been issued yet
+  RESERVED: 'reserved',
+  // the VC has been issued
+  ISSUED: 'issued',
+  // the VC was never issued and will not be
+  ABANDONED: 'abandoned'
+});
 
-// in-memory cache
+// in-memory cache; the keys of records that belong to a tenant are prefixed
+// (see `_getCacheKey()`) and all other keys are credential IDs
 export let CACHE;
 // exported for testing purposes only
 export {CACHE as _CACHE};
 
+// in-memory cache statistics; `keyHits` tracks the hits of each key that is
+// currently in the cache
+const CACHE_STATS = {
+  hits: 0, misses: 0, evictions: 0, expirations: 0, loading: 0,
+  keyHits: new Map()
+};
+let CACHE_STATS_TIMER;
+
+// prefix of the cache keys of records that belong to a tenant
+const TENANT_CACHE_KEY_PREFIX = '\u0000';
+
+// in-memory cache of credential IDs that were not found (same keys as `CACHE`)
+let NOT_FOUND_CACHE;
+// exported for testing purposes only
+export {NOT_FOUND_CACHE as _NOT_FOUND_CACHE};
+// incremented whenever a not found cache entry is evicted; prevents caching a
+// not found lookup that started before a concurrent insertion
+let NOT_FOUND_EPOCH = 0;
+
+// lifecycle sweeper timer
+let SWEEPER_TIMER;
+
 bedrock.events.on('bedrock.init', async () => {
   _createCache();
 });
 
+bedrock.events.on('bedrock.ready', async () => {
+  _startSweeper();
+  _startCacheStatsEvents();
+});
+
+bedrock.events.on('bedrock.stop', async () => {
+  _stopSweeper();
+  _stopCacheStatsEvents();
+});
+
 bedrock.events.on('bedrock-mongodb.ready', async () => {
   await database.openCollections([COLLECTION_NAME]);
 
+  const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+  const {gracePeriod} = cfg.vcReferences.expiration;
+
   const indexes = [{
-    // `credentialId` should be the shard key for sharded databases
+    // these fields should be the shard key for sharded databases; records
+    // w/o a tenant have no `tenantId` and are indexed under `null`
     collection: COLLECTION_NAME,
-    fields: {'reference.credentialId': 1},
+    fields: {'meta.tenantId': 1, 'reference.credentialId': 1},
     options: {unique: true}
+  }, {
+    // used to find `reserved` VC references that were never issued
+    collection: COLLECTION_NAME,
+    fields: {'meta.state': 1, 'meta.created': 1},
+    options: {unique: false}
+  }, {
+    // used to find VC references by their locally recorded status, e.g.,
+    // `{'meta.status.revocation.value': true}` optionally w/
+    // `'meta.status.revocation.indexAllocator'`
+    collection: COLLECTION_NAME,
+    fields: {'meta.status.$**': 1},
+    options: {unique: false}
+  }, {
+    // sparse expiration index
+    collection: COLLECTION_NAME,
+    fields: {'meta.expires': 1},
+    options: {
+      // only some records expire/records may add `expires` after creation
+      partialFilterExpression: {'meta.expires': {$exists: true}},
+      unique: false,
+      expireAfterSeconds: Math.floor(gracePeriod / 1000)
+    }
   }];
 
-  await database.createIndexes(indexes);
+  await createIndexes({
+    collectionName: COLLECTION_NAME, configKey: 'vcReferences', indexes,
+    // replaced by the tenant-scoped index above; left in place until
+    // `dropLegacyIndexes()` is called
+    legacyIndexes: ['reference.credentialId_1']
+  });
 });
 
 /**
@@ -51,8 +151,15 @@ export async function createContentId({content} = {}) {
 /**
  * Retrieves a reference record (if it exists).
  *
+ * If not found caching is enabled via configuration, a credential ID that was
+ * not found is remembered for a short time so that repeated lookups do not
+ * reach the database. Inserting a VC reference evicts any such entry for its
+ * credential ID from the current process.
+ *
  * @param {object} options - Options to use.
  * @param {string} [options.credentialId] - The credential ID of the record.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to; if not given, only records that do not belong to a tenant are found.
  * @param {boolean} [options.useCache=true] - Whether or not to use the
  *   in-memory cache.
  * @param {boolean} [options.explain=false] - Set to true to return database
@@ -62,59 +169,144 @@ export async function createContentId({content} = {}) {
  *   database record or an ExplainObject if `explain=true`.
  */
 export async function get({
-  credentialId, useCache = true, explain = false
+  credentialId, tenantId, useCache = true, explain = false
 } = {}) {
   assert.string(credentialId, 'credentialId');
+  assert.optionalString(tenantId, 'tenantId');
 
   // do not use in-memory cache when specified or explaining database query
   if(!useCache || explain) {
-    return _getUncachedRecord({credentialId, explain});
+    return _getUncachedRecord({credentialId, tenantId, explain});
+  }
+
+  const key = _getCacheKey({tenantId, credentialId});
+  const notFoundCacheEnabled = _getNotFoundCacheConfig().enabled;
+  if(notFoundCacheEnabled && NOT_FOUND_CACHE.cache.has(key)) {
+    throw _createNotFoundError();
+  }
+
+  // entries for in-flight loads count as hits as they share the load
+  if(CACHE.cache.has(key)) {
+    CACHE_STATS.hits++;
+    const {keyHits} = CACHE_STATS;
+    keyHits.set(key, (keyHits.get(key) ?? 0) + 1);
+  } else {
+    CACHE_STATS.misses++;
+  }
+
+  const epoch = NOT_FOUND_EPOCH;
+  const fn = async () => {
+    CACHE_STATS.loading++;
+    try {
+      return await _getUncachedRecord({credentialId, tenantId});
+    } finally {
+      CACHE_STATS.loading--;
+    }
+  };
+  try {
+    return await CACHE.memoize({key, fn});
+  } catch(e) {
+    // only cache not found if no entry was evicted during the lookup
+    if(e.name === 'NotFoundError' && notFoundCacheEnabled &&
+      epoch === NOT_FOUND_EPOCH) {
+      NOT_FOUND_CACHE.cache.set(key, true);
+    }
+    throw e;
   }
+}
+
+/**
+ * Gets statistics for the in-memory VC reference cache used by `get()` since
+ * the cache was created: the number of `hits` and `misses` (lookups that
+ * found an entry, including an entry for a load that is still in progress,
+ * and those that did not), the number of entries removed to stay within
+ * `max` (`evictions`) or because their `ttl` passed (`expirations`), the
+ * number of database loads in progress (`loading`), the current number of
+ * entries (`size`), the configured `max` and `ttl`, and the `hotKeys` -- an
+ * array of `{key, hits}` (where `key` is the credential ID, along with
+ * `tenantId` if the record belongs to a tenant) for the entries currently in
+ * the cache with the most hits, in descending order. These statistics are
+ * also emitted periodically as the
+ * `bedrock-vc-issuer-coordinator-storage.vcReferenceCache.stats` event if
+ * enabled via configuration.
+ *
+ * @param {object} [options] - The options to use.
+ * @param {number} [options.hotKeyCount] - The maximum number of `hotKeys` to
+ *   include; defaults to the configured `hotKeyCount`.
+ *
+ * @returns {object} The cache statistics.
+ */
+export function getCacheStats({hotKeyCount} = {}) {
+  const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+  hotKeyCount = hotKeyCount ?? cfg.caches.vcReference.stats.hotKeyCount;
+  assert.number(hotKeyCount, 'hotKeyCount');
 
-  const fn = () => _getUncachedRecord({credentialId});
-  return CACHE.memoize({key: credentialId, fn});
+  const {hits, misses, evictions, expirations, loading, keyHits} = CACHE_STATS;
+  const hotKeys = [...keyHits]
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, hotKeyCount)
+    .map(([key, count]) => {
+      const {tenantId, credentialId} = _parseCacheKey(key);
+      return tenantId === undefined ?
+        {key: credentialId, hits: count} :
+        {key: credentialId, tenantId, hits: count};
+    });
+  const {max, ttl} = CACHE.cache;
+  return {
+    hits, misses, evictions, expirations, loading,
+    size: CACHE.cache.size, max, ttl, hotKeys
+  };
 }
 
 /**
  * Inserts a VC reference into the database, provided that it is not a
- * duplicate.
+ * duplicate. If a VC reference schema has been set (see `setValidator()`),
+ * the reference must match it or else a `DataError` will be thrown.
  *
  * @param {object} options - Options to use.
  * @param {object} options.reference - The reference to insert; must have
  *   `credentialId` set and `sequence` set to `0`.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to, stored as `meta.tenantId`; credential IDs only need to be unique per
+ *   tenant.
+ * @param {string} [options.state='reserved'] - The initial lifecycle state of
+ *   the record, either `reserved` or `issued`.
+ * @param {Date} [options.expires] - An optional expiration date for the
+ *   record, e.g., the `validUntil` date of the VC; the record is removed
+ *   automatically once the configured grace period has passed after it.
  *
  * @returns {Promise<object>} An object with the reference record.
  */
-export async function insert({reference} = {}) {
-  assert.object(reference, 'reference');
-  assert.string(reference.credentialId, 'reference.credentialId');
-  assert.number(reference.sequence, 'reference.sequence');
-  if(reference.sequence !== 0) {
-    throw new BedrockError(
-      'Could not insert VC reference record. Initial "sequence" must be "0".', {
-        name: 'InvalidStateError',
-        details: {
-          httpStatusCode: 409,
-          public: true
-        }
-      });
-  }
+export async function insert({
+  reference, tenantId, state = STATES.RESERVED, expires
+} = {}) {
+  _assertInsertableReference({reference});
+  assert.optionalString(tenantId, 'tenantId');
+  _assertInitialState({state});
+  assert.optionalDate(expires, 'expires');
 
   const now = Date.now();
   const collection = database.collections[COLLECTION_NAME];
-  const meta = {created: now, updated: now};
+  const meta = _createMeta({tenantId, now, state});
+  if(expires) {
+    meta.expires = expires;
+  }
   const record = {
-    reference,
+    // encrypt any secrets in `reference` according to configuration
+    reference: await encryptReferenceSecrets({reference}),
     meta
   };
 
   try {
     await collection.insertOne(record);
+    _evictNotFound({tenantId, credentialId: reference.credentialId});
     return {reference, meta};
   } catch(cause) {
     if(!database.isDuplicateError(cause)) {
       throw cause;
     }
+    // record exists
+    _evictNotFound({tenantId, credentialId: reference.credentialId});
     throw new BedrockError('Duplicate VC reference record.', {
       name: 'DuplicateError',
       details: {
@@ -126,19 +318,223 @@ export async function insert({reference} = {}) {
   }
 }
 
+/**
+ * Inserts a VC reference into the database or, if a record for the same
+ * `credentialId` already exists, retrieves the existing record, using a
+ * single atomic upsert. This is useful for retrying requests that use
+ * content-based credential IDs (see `createContentId()`) without needing to
+ * handle a `DuplicateError`.
+ *
+ * If an existing record is found, its reference must match the given
+ * reference in every property other than `sequence` or else a
+ * `ConstraintError` will be thrown.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.reference - The reference to insert; must have
+ *   `credentialId` set and `sequence` set to `0`.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
+ * @param {string} [options.state='reserved'] - The initial lifecycle state of
+ *   the record if inserted, either `reserved` or `issued`.
+ * @param {Date} [options.expires] - An optional expiration date for the
+ *   record if inserted.
+ *
+ * @returns {Promise<object>} An object with the reference `record` and
+ *   `created` set to `true` if the record was inserted.
+ */
+export async function insertOrGet({
+  reference, tenantId, state = STATES.RESERVED, expires
+} = {}) {
+  _assertInsertableReference({reference});
+  assert.optionalString(tenantId, 'tenantId');
+  _assertInitialState({state});
+  assert.optionalDate(expires, 'expires');
+
+  const {credentialId} = reference;
+  const meta = _createMeta({tenantId, now: Date.now(), state});
+  if(expires) {
+    meta.expires = expires;
+  }
+  // the whole record is only written if it is inserted
+  const update = {
+    $setOnInsert: {
+      // encrypt any secrets in `reference` according to configuration
+      reference: await encryptReferenceSecrets({reference}),
+      meta
+    }
+  };
+
+  const collection = database.collections[COLLECTION_NAME];
+  const query = _getRecordQuery({credentialId, tenantId});
+  const options = {
+    projection: {_id: 0},
+    returnDocument: 'after',
+    upsert: true,
+    includeResultMetadata: true
+  };
+  let result;
+  try {
+    result = await collection.findOneAndUpdate(query, update, options);
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    // a concurrent upsert inserted the record first, so this one will find it
+    result = await collection.findOneAndUpdate(query, update, options);
+  }
+
+  if(!result.lastErrorObject?.updatedExisting) {
+    _evictNotFound({tenantId, credentialId});
+    return {record: {reference, meta}, created: true};
+  }
+
+  // decrypt reference secrets in the existing record
+  const record = await decryptRecord({record: result.value});
+  if(!_isSameReference({a: record.reference, b: reference})) {
+    throw new BedrockError(
+      'Existing VC reference record does not match the given reference.', {
+        name: 'ConstraintError',
+        details: {
+          httpStatusCode: 409,
+          public: true
+        }
+      });
+  }
+  return {record, created: false};
+}
+
+/**
+ * Inserts many VC references into the database using a single unordered bulk
+ * write. Each reference is validated in the same way as with `insert()`;
+ * invalid references are not written and duplicates do not prevent other
+ * references from being inserted.
+ *
+ * The returned `results` array has one entry per given reference, in the same
+ * order, with `credentialId` (if available) and a `status` of `inserted`,
+ * `duplicate`, or `invalid`. Inserted entries include the new `record` and
+ * duplicate or invalid entries include the `error` that occurred.
+ *
+ * @param {object} options - Options to use.
+ * @param {Array<object>} options.references - The references to insert; each
+ *   must have `credentialId` set and `sequence` set to `0`.
+ * @param {string} [options.tenantId] - The ID of the tenant every record
+ *   belongs to.
+ * @param {string} [options.state='reserved'] - The initial lifecycle state of
+ *   every record, either `reserved` or `issued`.
+ * @param {Date} [options.expires] - An optional expiration date for every
+ *   record; see `insert()`.
+ *
+ * @returns {Promise<object>} An object with `results` and `insertedCount`.
+ */
+export async function insertMany({
+  references, tenantId, state = STATES.RESERVED, expires
+} = {}) {
+  assert.array(references, 'references');
+  assert.optionalString(tenantId, 'tenantId');
+  _assertInitialState({state});
+  assert.optionalDate(expires, 'expires');
+
+  const now = Date.now();
+  const results = [];
+  // maps the index of each bulk write operation to its `results` index
+  const resultIndexes = [];
+  const operations = [];
+  for(const [index, reference] of references.entries()) {
+    try {
+      _assertInsertableReference({reference});
+    } catch(error) {
+      results[index] = {
+        credentialId: reference?.credentialId, status: 'invalid', error
+      };
+      continue;
+    }
+    const meta = _createMeta({tenantId, now, state});
+    if(expires) {
+      meta.expires = expires;
+    }
+    results[index] = {
+      credentialId: reference.credentialId,
+      status: 'inserted',
+      record: {reference, meta}
+    };
+    resultIndexes.push(index);
+    operations.push({
+      insertOne: {
+        document: {
+          // encrypt any secrets in `reference` according to configuration
+          reference: await encryptReferenceSecrets({reference}),
+          meta
+        }
+      }
+    });
+  }
+
+  if(operations.length > 0) {
+    const collection = database.collections[COLLECTION_NAME];
+    try {
+      await collection.bulkWrite(operations, {ordered: false});
+    } catch(cause) {
+      const writeErrors = cause.writeErrors ?? [];
+      if(!(database.isDatabaseError(cause) && writeErrors.length > 0 &&
+        writeErrors.every(_isDuplicateWriteError))) {
+        throw cause;
+      }
+      // mark each duplicate
+      for(const writeError of writeErrors) {
+        const result = results[resultIndexes[writeError.index]];
+        result.status = 'duplicate';
+        result.error = new BedrockError('Duplicate VC reference record.', {
+          name: 'DuplicateError',
+          details: {
+            public: true,
+            httpStatusCode: 409
+          }
+        });
+        delete result.record;
+      }
+    }
+  }
+
+  // clear any in-memory cache entries for inserted references
+  let insertedCount = 0;
+  for(const {credentialId, status} of results) {
+    if(status === 'inserted') {
+      CACHE.delete(_getCacheKey({tenantId, credentialId}));
+      _evictNotFound({tenantId, credentialId});
+      insertedCount++;
+    } else if(status === 'duplicate') {
+      _evictNotFound({tenantId, credentialId});
+    }
+  }
+
+  return {results, insertedCount};
+}
+
 /**
  * Retrieves all VC reference records matching the given query.
  *
  * @param {object} options - The options to use.
  * @param {object} options.query - The optional query to use (default: {}).
+ * @param {string} [options.tenantId] - The ID of the tenant whose records to
+ *   query; if not given, only records that do not belong to a tenant match.
  * @param {object} [options.options={}] - Query options (eg: 'sort', 'limit').
+ * @param {boolean} [options.excludeExpired=false] - Set to true to exclude
+ *   records whose `expires` date has passed but that have not yet been
+ *   removed.
  * @param {boolean} [options.explain=false] - An optional explain boolean.
  *
  * @returns {Promise<Array | ExplainObject>} Resolves with the records that
  *   matched the query or returns an ExplainObject if `explain=true`.
  */
-export async function find({query = {}, options = {}, explain = false} = {}) {
+export async function find({
+  query = {}, tenantId, options = {}, excludeExpired = false, explain = false
+} = {}) {
+  assert.optionalString(tenantId, 'tenantId');
   const collection = database.collections[COLLECTION_NAME];
+  query = scopeToTenant({query, tenantId});
+  if(excludeExpired) {
+    query = _excludeExpired({query});
+  }
 
   if(explain) {
     const cursor = await collection.find(query, options);
@@ -146,7 +542,81 @@ export async function find({query = {}, options = {}, explain = false} = {}) {
   }
 
   const records = await collection.find(query, options).toArray();
-  return records;
+  // decrypt reference secrets in every record
+  return Promise.all(records.map(record => decryptRecord({record})));
+}
+
+/**
+ * Retrieves a page of VC reference records matching the given query. Records
+ * are ordered by `reference.credentialId` and paginated using its index, so
+ * pages remain stable while other records are inserted. To get the next page,
+ * pass the returned `nextPageToken` as `pageToken`; the query embedded in the
+ * token is used and any `query` given must match it. The `nextPageToken` is
+ * `null` once there are no more records.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.query={}] - The query to use; it must be JSON
+ *   serializable.
+ * @param {string} [options.tenantId] - The ID of the tenant whose records to
+ *   query; if not given, only records that do not belong to a tenant match.
+ * @param {number} [options.limit=100] - The maximum number of records to
+ *   return in the page.
+ * @param {string} [options.pageToken] - The token for the page to retrieve.
+ *
+ * @returns {Promise<object>} Resolves with an object with `records` and
+ *   `nextPageToken`.
+ */
+export async function findPage({query, tenantId, limit, pageToken} = {}) {
+  assert.optionalString(tenantId, 'tenantId');
+  const {records, nextPageToken} = await _findPage({
+    collectionName: COLLECTION_NAME, key: 'reference.credentialId',
+    query, filter: scopeToTenant({tenantId}), limit, pageToken
+  });
+  // decrypt reference secrets in every record
+  return {
+    records: await Promise.all(records.map(record => decryptRecord({record}))),
+    nextPageToken
+  };
+}
+
+/**
+ * Iterates over all VC reference records matching the given query without
+ * loading them into memory all at once. Records are read from the database in
+ * batches of `batchSize`. Exiting the iteration early (e.g., via `break`)
+ * closes the underlying database cursor.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.query - The optional query to use (default: {}).
+ * @param {string} [options.tenantId] - The ID of the tenant whose records to
+ *   query; if not given, only records that do not belong to a tenant match.
+ * @param {object} [options.options={}] - Query options (eg: 'sort', 'limit').
+ * @param {number} [options.batchSize=100] - The number of records to read
+ *   from the database at a time.
+ * @param {boolean} [options.excludeExpired=false] - Set to true to exclude
+ *   records whose `expires` date has passed but that have not yet been
+ *   removed.
+ *
+ * @yields {object} Each record that matched the query.
+ */
+export async function* iterate({
+  query = {}, tenantId, options = {}, batchSize = 100, excludeExpired = false
+} = {}) {
+  assert.optionalString(tenantId, 'tenantId');
+  assert.number(batchSize, 'batchSize');
+  query = scopeToTenant({query, tenantId});
+  if(excludeExpired) {
+    query = _excludeExpired({query});
+  }
+
+  const collection = database.collections[COLLECTION_NAME];
+  const cursor = collection.find(query, {...options, batchSize});
+  try {
+    for await (const record of cursor) {
+      yield decryptRecord({record});
+    }
+  } finally {
+    await cursor.close();
+  }
 }
 
 /**
@@ -154,14 +624,26 @@ export async function find({query = {}, options = {}, explain = false} = {}) {
  *
  * @param {object} options - The options to use.
  * @param {object} options.query - The optional query to use (default: {}).
+ * @param {string} [options.tenantId] - The ID of the tenant whose records to
+ *   query; if not given, only records that do not belong to a tenant match.
  * @param {object} [options.options={}] - Query options (eg: 'sort', 'limit').
+ * @param {boolean} [options.excludeExpired=false] - Set to true to exclude
+ *   records whose `expires` date has passed but that have not yet been
+ *   removed.
  * @param {boolean} [options.explain=false] - An optional explain boolean.
  *
  * @returns {Promise<Array | ExplainObject>} Resolves with the records that
  *   matched the query or returns an ExplainObject if `explain=true`.
  */
-export async function count({query = {}, options = {}, explain = false} = {}) {
+export async function count({
+  query = {}, tenantId, options = {}, excludeExpired = false, explain = false
+} = {}) {
+  assert.optionalString(tenantId, 'tenantId');
   const collection = database.collections[COLLECTION_NAME];
+  query = scopeToTenant({query, tenantId});
+  if(excludeExpired) {
+    query = _excludeExpired({query});
+  }
 
   if(explain) {
     // 'find()' is used here because 'countDocuments()' doesn't return a
@@ -173,31 +655,299 @@ export async function count({query = {}, options = {}, explain = false} = {}) {
   return collection.countDocuments(query, options);
 }
 
+/**
+ * Computes statistics for the VC reference records matching the given query
+ * using a single database aggregation. The result always includes the total
+ * `count` of matching records. If `groupBy` is given, it also includes
+ * `groups`, an array of `{key, count}` objects (ordered by descending count)
+ * where `key` maps each `groupBy` field to a value that the records in the
+ * group have (or `null` if they do not have the field). If `interval` is
+ * given, it also includes `created` and `updated` histograms, arrays of
+ * `{start, count}` objects (ordered by `start`) that count the records whose
+ * `meta.created` or `meta.updated` time falls in each `interval`-long bucket
+ * beginning at `start`.
+ *
+ * Fields to group by may be any non-encrypted field of the record, e.g.,
+ * `reference.indexAllocator`, `meta.state`, or a locally recorded status such
+ * as `meta.status.revocation.value`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.query={}] - The query to use.
+ * @param {string} [options.tenantId] - The ID of the tenant whose records to
+ *   query; if not given, only records that do not belong to a tenant match.
+ * @param {string|Array<string>} [options.groupBy=[]] - The field(s) to group
+ *   the records by.
+ * @param {number} [options.interval] - The width, in milliseconds, of each
+ *   histogram bucket, e.g., `24 * 60 * 60 * 1000` for daily buckets.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves with the statistics or
+ *   an ExplainObject if `explain=true`.
+ */
+export async function stats({
+  query = {}, tenantId, groupBy = [], interval, explain = false
+} = {}) {
+  assert.object(query, 'query');
+  assert.optionalString(tenantId, 'tenantId');
+  if(typeof groupBy === 'string') {
+    groupBy = [groupBy];
+  }
+  assert.arrayOfString(groupBy, 'groupBy');
+  assert.optionalNumber(interval, 'interval');
+  if(groupBy.some(field => field === '' || field.startsWith('$'))) {
+    throw new TypeError('"groupBy" must only contain field names.');
+  }
+  if(interval !== undefined && !(interval > 0)) {
+    throw new TypeError('"interval" must be greater than zero.');
+  }
+
+  const facets = {count: [{$count: 'count'}]};
+  if(groupBy.length > 0) {
+    facets.groups = [
+      {$group: {_id: groupBy.map(field => `$${field}`), count: {$sum: 1}}},
+      {$sort: {count: -1}}
+    ];
+  }
+  if(interval !== undefined) {
+    for(const field of ['created', 'updated']) {
+      const value = `$meta.${field}`;
+      facets[field] = [
+        {$group: {
+          _id: {$subtract: [value, {$mod: [value, interval]}]},
+          count: {$sum: 1}
+        }},
+        {$sort: {_id: 1}}
+      ];
+    }
+  }
+  const pipeline = [
+    {$match: scopeToTenant({query, tenantId})},
+    {$facet: facets}
+  ];
+
+  const collection = database.collections[COLLECTION_NAME];
+  if(explain) {
+    return collection.aggregate(pipeline).explain('executionStats');
+  }
+
+  const [result] = await collection.aggregate(pipeline).toArray();
+  const stats = {count: result.count[0]?.count ?? 0};
+  if(result.groups) {
+    stats.groups = result.groups.map(({_id, count}) => ({
+      key: Object.fromEntries(groupBy.map((field, i) => [field, _id[i]])),
+      count
+    }));
+  }
+  for(const field of ['created', 'updated']) {
+    if(result[field]) {
+      stats[field] = result[field].map(({_id: start, count}) => ({
+        start, count
+      }));
+    }
+  }
+  return stats;
+}
+
 /**
  * Updates (replaces) a VC reference if the reference's `sequence` is one
  * greater than the existing record.
  *
+ * If VC reference history is enabled via configuration, the existing record
+ * is stored as a history entry before it is replaced. If a VC reference
+ * schema has been set (see `setValidator()`), the reference must match it or
+ * else a `DataError` will be thrown.
+ *
  * @param {object} options - The options to use.
  * @param {object} options.reference - The new VC reference with `credentialId`
  *   and `sequence` minimally set.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
+ * @param {Date} [options.expires] - An optional new expiration date for the
+ *   record; if not given, any existing expiration date is kept.
  * @param {boolean} [options.explain=false] - An optional explain boolean.
  *
  * @returns {Promise<boolean | ExplainObject>} Resolves with `true` on update
  *   success or an ExplainObject if `explain=true`.
  */
-export async function update({reference, explain = false} = {}) {
+export async function update({
+  reference, tenantId, expires, explain = false
+} = {}) {
   assert.object(reference, 'reference');
   assert.string(reference.credentialId, 'reference.credentialId');
   assert.number(reference.sequence, 'reference.sequence');
+  assert.optionalString(tenantId, 'tenantId');
+  assert.optionalDate(expires, 'expires');
+  validateReference({reference});
+
+  const result = await _update({reference, tenantId, expires, explain});
+  return explain ? result : true;
+}
+
+/**
+ * Atomically patches individual properties of a VC reference and increments
+ * its `sequence`, without requiring the caller to send the entire new
+ * reference. This allows writers that change unrelated properties to avoid
+ * conflicting with one another. If `expectedSequence` is given, the patch is
+ * only applied if the existing record's `sequence` matches.
+ *
+ * Property names in `set` and `unset` are relative to the reference and may
+ * use dot notation to address nested properties; `credentialId` and
+ * `sequence` cannot be patched.
+ *
+ * When a VC reference schema has been set, VC reference history is enabled,
+ * or a patched property is encrypted, the patch is applied by reading the
+ * existing record and writing it back with a `sequence` check (retrying on
+ * conflict when no `expectedSequence` is given) instead of by the database.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.credentialId - The credential ID of the record.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
+ * @param {number} [options.expectedSequence] - The expected `sequence` of the
+ *   existing record.
+ * @param {object} [options.set={}] - The properties to set.
+ * @param {Array<string>} [options.unset=[]] - The properties to remove.
+ *
+ * @returns {Promise<object>} Resolves with the new record.
+ */
+export async function patch({
+  credentialId, tenantId, expectedSequence, set = {}, unset = []
+} = {}) {
+  assert.string(credentialId, 'credentialId');
+  assert.optionalString(tenantId, 'tenantId');
+  assert.optionalNumber(expectedSequence, 'expectedSequence');
+  assert.object(set, 'set');
+  assert.arrayOfString(unset, 'unset');
+  const setKeys = Object.keys(set);
+  for(const key of [...setKeys, ...unset]) {
+    const [property] = key.split('.');
+    if(key === '' || key.startsWith('$') || property === 'credentialId' ||
+      property === 'sequence') {
+      throw new TypeError(`Property "${key}" cannot be patched.`);
+    }
+  }
+  if(setKeys.some(key => unset.includes(key))) {
+    throw new TypeError('A property cannot be both set and unset.');
+  }
+
+  const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+  if(isValidatorSet() || cfg.vcReferences.history.enabled ||
+    [...setKeys, ...unset].some(key => isSecretProperty(key.split('.')[0]))) {
+    return _patchWithRead({
+      credentialId, tenantId, expectedSequence, set, unset
+    });
+  }
+
+  const now = Date.now();
+  const update = {
+    $set: {'meta.updated': now},
+    $inc: {'reference.sequence': 1}
+  };
+  for(const key of setKeys) {
+    update.$set[`reference.${key}`] = set[key];
+  }
+  if(unset.length > 0) {
+    update.$unset = {};
+    for(const key of unset) {
+      update.$unset[`reference.${key}`] = '';
+    }
+  }
+
+  const collection = database.collections[COLLECTION_NAME];
+  const query = _getRecordQuery({credentialId, tenantId});
+  if(expectedSequence !== undefined) {
+    query['reference.sequence'] = expectedSequence;
+  }
+
+  const record = await collection.findOneAndUpdate(query, update, {
+    projection: {_id: 0},
+    returnDocument: 'after'
+  });
+  if(record) {
+    // document modified: success;
+    // clear any in-memory cache entry
+    CACHE.delete(_getCacheKey({tenantId, credentialId}));
+    return decryptRecord({record});
+  }
+
+  // determine why the record could not be updated
+  await _getUncachedRecord({credentialId, tenantId});
+  throw _createSequenceMismatchError({expected: expectedSequence});
+}
+
+/**
+ * Atomically applies a read-modify-write mutation to a VC reference. The
+ * existing record is read (bypassing the in-memory cache) and passed to `fn`,
+ * which returns the new VC reference, and the new reference is written only
+ * if the record has not changed since it was read. If another writer changed
+ * the record in the meantime, the record is re-read and `fn` is called again,
+ * after a backoff delay, up to `maxRetries` times before the
+ * `InvalidStateError` is thrown.
+ *
+ * The `credentialId` and `sequence` of the new VC reference are always set by
+ * this function. If `fn` returns `undefined`, nothing is written and the
+ * existing record is returned. Since `fn` may be called more than once, it
+ * should not have side effects.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.credentialId - The credential ID of the record.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
+ * @param {Function} options.fn - An async function that is called with
+ *   `{record}` and returns the new VC reference.
+ * @param {number} [options.maxRetries=5] - The maximum number of times to
+ *   retry after a conflicting write.
+ *
+ * @returns {Promise<object>} Resolves with the new record.
+ */
+export async function mutate({
+  credentialId, tenantId, fn, maxRetries = 5
+} = {}) {
+  assert.string(credentialId, 'credentialId');
+  assert.optionalString(tenantId, 'tenantId');
+  assert.func(fn, 'fn');
+  assert.number(maxRetries, 'maxRetries');
 
+  return _mutate({
+    read: () => _getUncachedRecord({credentialId, tenantId}),
+    async write({record}) {
+      let reference = await fn({record: structuredClone(record)});
+      if(reference === undefined) {
+        return record;
+      }
+      assert.object(reference, 'reference');
+      reference = {
+        ...reference, credentialId, sequence: record.reference.sequence + 1
+      };
+      validateReference({reference});
+      const {updated} = await _update({reference, tenantId});
+      return {reference, meta: {...record.meta, updated}};
+    },
+    // any cached record is stale
+    onConflict: () => CACHE.delete(_getCacheKey({tenantId, credentialId})),
+    maxRetries
+  });
+}
+
+async function _update({
+  reference, tenantId, expires, explain = false
+} = {}) {
   // build update
   const now = Date.now();
   const update = {};
-  update.$set = {reference, 'meta.updated': now};
+  update.$set = {
+    // encrypt any secrets in `reference` according to configuration
+    reference: await encryptReferenceSecrets({reference}),
+    'meta.updated': now
+  };
+  if(expires) {
+    update.$set['meta.expires'] = expires;
+  }
 
   const collection = database.collections[COLLECTION_NAME];
+  const {credentialId} = reference;
   const query = {
-    'reference.credentialId': reference.credentialId,
+    ..._getRecordQuery({credentialId, tenantId}),
     'reference.sequence': reference.sequence - 1
   };
 
@@ -208,28 +958,381 @@ export async function update({reference, explain = false} = {}) {
     return cursor.explain('executionStats');
   }
 
+  await _archive({query});
+
   const result = await collection.updateOne(query, update);
   if(result.modifiedCount > 0) {
     // document modified: success;
     // clear any in-memory cache entry
-    CACHE.delete(reference.credentialId);
+    CACHE.delete(_getCacheKey({tenantId, credentialId}));
+    return {updated: now};
+  }
+
+  throw _createSequenceMismatchError({expected: reference.sequence - 1});
+}
+
+/**
+ * Removes a VC reference record. If `sequence` is given, then the record will
+ * only be removed if its `sequence` matches.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.credentialId - The credential ID of the record.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
+ * @param {number} [options.sequence] - The expected `sequence` of the existing
+ *   record.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<boolean | ExplainObject>} Resolves with `true` on remove
+ *   success or an ExplainObject if `explain=true`.
+ */
+export async function remove({
+  credentialId, tenantId, sequence, explain = false
+} = {}) {
+  assert.string(credentialId, 'credentialId');
+  assert.optionalString(tenantId, 'tenantId');
+  assert.optionalNumber(sequence, 'sequence');
+
+  const collection = database.collections[COLLECTION_NAME];
+  const query = _getRecordQuery({credentialId, tenantId});
+  if(sequence !== undefined) {
+    query['reference.sequence'] = sequence;
+  }
+
+  if(explain) {
+    // 'find().limit(1)' is used here because 'deleteOne()' doesn't return a
+    // cursor which allows the use of the explain function.
+    const cursor = await collection.find(query).limit(1);
+    return cursor.explain('executionStats');
+  }
+
+  const result = await collection.deleteOne(query);
+
+  // clear any in-memory cache entry regardless of the result
+  CACHE.delete(_getCacheKey({tenantId, credentialId}));
+
+  if(result.deletedCount > 0) {
+    // document deleted: success
     return true;
   }
 
-  throw new BedrockError(
-    'Could not update VC reference. Sequence does not match existing record.', {
-      name: 'InvalidStateError',
-      details: {
-        httpStatusCode: 409,
-        public: true,
-        expected: reference.sequence - 1
-      }
-    });
+  if(sequence !== undefined) {
+    // determine if the record exists w/a different sequence
+    const record = await collection.findOne(
+      _getRecordQuery({credentialId, tenantId}), {projection: {_id: 1}});
+    if(record) {
+      throw new BedrockError(
+        'Could not remove VC reference. ' +
+        'Sequence does not match existing record.', {
+          name: 'InvalidStateError',
+          details: {
+            httpStatusCode: 409,
+            public: true,
+            expected: sequence
+          }
+        });
+    }
+  }
+
+  throw _createNotFoundError();
+}
+
+/**
+ * Removes all VC reference records matching the given query. Records are
+ * removed (and any in-memory cache entries for them cleared) in batches, so
+ * the removal is not atomic.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.query - The query to use.
+ * @param {string} [options.tenantId] - The ID of the tenant whose records to
+ *   query; if not given, only records that do not belong to a tenant match.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves with an object with
+ *   `deletedCount` or an ExplainObject if `explain=true`.
+ */
+export async function removeMany({query, tenantId, explain = false} = {}) {
+  assert.object(query, 'query');
+  assert.optionalString(tenantId, 'tenantId');
+
+  query = scopeToTenant({query, tenantId});
+
+  if(explain) {
+    // 'find()' is used here because 'deleteMany()' doesn't return a
+    // cursor which allows the use of the explain function.
+    const collection = database.collections[COLLECTION_NAME];
+    const cursor = await collection.find(query);
+    return cursor.explain('executionStats');
+  }
+
+  return _removeMany({query});
+}
+
+/**
+ * Marks a `reserved` VC reference record as `issued`. This should be called
+ * once the VC associated with the reference has actually been issued.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.credentialId - The credential ID of the record.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
+ * @param {number} [options.sequence] - The expected `sequence` of the existing
+ *   record's `reference`; if given, the record will only be marked if its
+ *   `sequence` matches.
+ *
+ * @returns {Promise<boolean>} Resolves with `true` on success.
+ */
+export async function markIssued({credentialId, tenantId, sequence} = {}) {
+  return _setState({
+    credentialId, tenantId, sequence,
+    // records w/o a state predate lifecycle states and may also be marked
+    from: [STATES.RESERVED, null],
+    to: STATES.ISSUED
+  });
+}
+
+/**
+ * Marks a `reserved` VC reference record as `abandoned`. This should be
+ * called once it is known that the VC associated with the reference will
+ * never be issued.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.credentialId - The credential ID of the record.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
+ * @param {number} [options.sequence] - The expected `sequence` of the existing
+ *   record's `reference`; if given, the record will only be marked if its
+ *   `sequence` matches.
+ *
+ * @returns {Promise<boolean>} Resolves with `true` on success.
+ */
+export async function markAbandoned({
+  credentialId, tenantId, sequence
+} = {}) {
+  return _setState({
+    credentialId, tenantId, sequence,
+    from: [STATES.RESERVED], to: STATES.ABANDONED
+  });
+}
+
+/**
+ * Records the status value that was last written to the status service for
+ * a VC reference and status purpose. The status is stored in the record's
+ * `meta.status[statusPurpose]` as an object with `value`, `updated`, and, if
+ * given, `indexAllocator` and `syncId`, and it can be used in queries (e.g.,
+ * to find all revoked VCs for an index allocator) without contacting the
+ * status service. Setting a status does not
+ * change the VC reference or its `sequence`.
+ *
+ * This is called by `syncCredentialStatus()` when its `recordStatus` option
+ * is set.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.credentialId - The credential ID of the record.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
+ * @param {string} options.statusPurpose - The status purpose, e.g.,
+ *   `revocation`.
+ * @param {boolean} options.value - The status value.
+ * @param {string} [options.indexAllocator] - The index allocator of the
+ *   status list the status was written to.
+ * @param {string} [options.syncId] - The ID of the sync that wrote the status.
+ *
+ * @returns {Promise<boolean>} Resolves with `true` on success.
+ */
+export async function setStatus({
+  credentialId, tenantId, statusPurpose, value, indexAllocator, syncId
+} = {}) {
+  assert.string(credentialId, 'credentialId');
+  assert.optionalString(tenantId, 'tenantId');
+  assert.string(statusPurpose, 'statusPurpose');
+  assert.bool(value, 'value');
+  assert.optionalString(indexAllocator, 'indexAllocator');
+  assert.optionalString(syncId, 'syncId');
+  if(statusPurpose === '' || statusPurpose.includes('.') ||
+    statusPurpose.startsWith('$')) {
+    throw new TypeError(`Invalid status purpose "${statusPurpose}".`);
+  }
+
+  const now = Date.now();
+  const status = {value, updated: now};
+  if(indexAllocator !== undefined) {
+    status.indexAllocator = indexAllocator;
+  }
+  if(syncId !== undefined) {
+    status.syncId = syncId;
+  }
+  const query = _getRecordQuery({credentialId, tenantId});
+  const update = {
+    $set: {[`meta.status.${statusPurpose}`]: status, 'meta.updated': now}
+  };
+
+  const collection = database.collections[COLLECTION_NAME];
+  const result = await collection.updateOne(query, update);
+  if(result.matchedCount === 0) {
+    throw _createNotFoundError();
+  }
+  // clear any in-memory cache entry
+  CACHE.delete(_getCacheKey({tenantId, credentialId}));
+  return true;
+}
+
+/**
+ * Marks as `abandoned` or removes all `reserved` VC reference records that
+ * were created before the given threshold. This is run periodically when the
+ * sweeper is enabled via configuration, but it may also be called directly.
+ * Records are swept in batches, so the sweep is not atomic.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} options.threshold - The age, in milliseconds, after which a
+ *   `reserved` record is swept.
+ * @param {string} [options.tenantId] - The ID of the tenant whose records to
+ *   sweep; if not given, the records of all tenants are swept.
+ * @param {string} [options.action='abandon'] - The action to take, either
+ *   `abandon` to mark swept records as `abandoned` or `remove` to remove them.
+ *
+ * @returns {Promise<object>} Resolves with an object with `sweptCount`.
+ */
+export async function sweepReserved({
+  threshold, tenantId, action = 'abandon'
+} = {}) {
+  assert.number(threshold, 'threshold');
+  assert.optionalString(tenantId, 'tenantId');
+  assert.string(action, 'action');
+  if(!(action === 'abandon' || action === 'remove')) {
+    throw new TypeError('"action" must be "abandon" or "remove".');
+  }
+
+  const now = Date.now();
+  const query = {
+    'meta.state': STATES.RESERVED,
+    'meta.created': {$lt: now - threshold}
+  };
+  if(tenantId !== undefined) {
+    query['meta.tenantId'] = tenantId;
+  }
+
+  if(action === 'remove') {
+    const {deletedCount} = await _removeMany({query});
+    return {sweptCount: deletedCount};
+  }
+
+  const collection = database.collections[COLLECTION_NAME];
+  let sweptCount = 0;
+  await _forEachBatch({
+    query,
+    async fn({records}) {
+      const credentialIds = records.map(
+        ({reference}) => reference.credentialId);
+      const result = await collection.updateMany({
+        $and: [query, {'reference.credentialId': {$in: credentialIds}}]
+      }, {
+        $set: {
+          'meta.state': STATES.ABANDONED,
+          [`meta.${STATES.ABANDONED}`]: now,
+          'meta.updated': now
+        }
+      });
+      _evictRecords({records});
+      sweptCount += result.modifiedCount;
+    }
+  });
+  return {sweptCount};
+}
+
+/**
+ * Retrieves the history of a VC reference record, i.e., every prior version
+ * of the record that was stored while history was enabled, ordered by
+ * `sequence`. Each history entry has a `history` object with `credentialId`,
+ * `sequence`, and the prior `reference` and `meta`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.credentialId - The credential ID of the record.
+ * @param {string} [options.tenantId] - The ID of the tenant the record belongs
+ *   to.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<Array | ExplainObject>} Resolves with the history entries
+ *   or an ExplainObject if `explain=true`.
+ */
+export async function getHistory({
+  credentialId, tenantId, explain = false
+} = {}) {
+  return history.find({credentialId, tenantId, explain});
+}
+
+async function _archive({query} = {}) {
+  const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+  if(!cfg.vcReferences.history.enabled) {
+    return;
+  }
+  // store the existing record (if it matches) before it is changed; this is
+  // done first so that history is never lost, even if the change fails
+  const collection = database.collections[COLLECTION_NAME];
+  const record = await collection.findOne(query, {projection: {_id: 0}});
+  if(record) {
+    await history.archive({record});
+  }
+}
+
+// exported for internal use only
+export function _evictNotFound({tenantId, credentialId} = {}) {
+  NOT_FOUND_CACHE.delete(_getCacheKey({tenantId, credentialId}));
+  NOT_FOUND_EPOCH++;
+}
+
+// exported for internal use only
+export function _getCacheKey({tenantId, credentialId} = {}) {
+  // keys of records w/o a tenant are their credential IDs unless that would
+  // make them look like the key of a record that belongs to a tenant
+  tenantId = tenantId ?? null;
+  if(tenantId === null && !credentialId.startsWith(TENANT_CACHE_KEY_PREFIX)) {
+    return credentialId;
+  }
+  return TENANT_CACHE_KEY_PREFIX + JSON.stringify([tenantId, credentialId]);
+}
+
+// exported for internal use only
+export function _parseCacheKey(key) {
+  if(!key.startsWith(TENANT_CACHE_KEY_PREFIX)) {
+    return {credentialId: key};
+  }
+  const [tenantId, credentialId] = JSON.parse(
+    key.slice(TENANT_CACHE_KEY_PREFIX.length));
+  return tenantId === null ? {credentialId} : {tenantId, credentialId};
+}
+
+function _assertInitialState({state} = {}) {
+  assert.string(state, 'state');
+  if(!(state === STATES.RESERVED || state === STATES.ISSUED)) {
+    throw new TypeError(
+      `"state" must be "${STATES.RESERVED}" or "${STATES.ISSUED}".`);
+  }
+}
+
+function _assertInsertableReference({reference} = {}) {
+  assert.object(reference, 'reference');
+  assert.string(reference.credentialId, 'reference.credentialId');
+  assert.number(reference.sequence, 'reference.sequence');
+  if(reference.sequence !== 0) {
+    throw new BedrockError(
+      'Could not insert VC reference record. Initial "sequence" must be "0".', {
+        name: 'InvalidStateError',
+        details: {
+          httpStatusCode: 409,
+          public: true
+        }
+      });
+  }
+  validateReference({reference});
 }
 
 function _createCache() {
   const cfg = bedrock.config['vc-issuer-coordinator-storage'];
   let cacheConfig = {...cfg.caches.vcReference};
+  // `invalidation` and `stats` config are not LRU cache options
+  delete cacheConfig.invalidation;
+  delete cacheConfig.stats;
 
   // coerce `maxSize` w/o `sizeCalculation` to `max`
   if(cacheConfig.maxSize !== undefined &&
@@ -244,11 +1347,73 @@ function _createCache() {
     delete cacheConfig.maxAge;
   }
 
-  CACHE = new LruCache(cacheConfig);
+  // reset statistics for new cache
+  Object.assign(CACHE_STATS, {
+    hits: 0, misses: 0, evictions: 0, expirations: 0, loading: 0,
+    keyHits: new Map()
+  });
+  const {keyHits} = CACHE_STATS;
+  CACHE = new LruCache({
+    ...cacheConfig,
+    dispose(value, key, reason) {
+      keyHits.delete(key);
+      if(reason === 'evict') {
+        CACHE_STATS.evictions++;
+      } else if(reason === 'expire') {
+        CACHE_STATS.expirations++;
+      }
+    }
+  });
+
+  const {max, ttl} = _getNotFoundCacheConfig();
+  NOT_FOUND_CACHE = new LruCache({max, ttl});
+}
+
+function _createMeta({tenantId, now, state} = {}) {
+  const meta = {created: now, updated: now, state, [state]: now};
+  if(tenantId !== undefined) {
+    meta.tenantId = tenantId;
+  }
+  return meta;
+}
+
+function _createSequenceMismatchError({expected} = {}) {
+  return new BedrockError(
+    'Could not update VC reference. Sequence does not match existing record.', {
+      name: 'InvalidStateError',
+      details: {
+        httpStatusCode: 409,
+        public: true,
+        expected
+      }
+    });
+}
+
+function _createNotFoundError() {
+  return new BedrockError('VC reference record not found.', {
+    name: 'NotFoundError',
+    details: {
+      httpStatusCode: 404,
+      public: true
+    }
+  });
+}
+
+function _getNotFoundCacheConfig() {
+  const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+  return cfg.caches.vcReferenceNotFound;
+}
+
+function _evictRecords({records} = {}) {
+  for(const {reference: {credentialId}, meta} of records) {
+    CACHE.delete(_getCacheKey({tenantId: meta?.tenantId, credentialId}));
+  }
 }
 
-async function _getUncachedRecord({credentialId, explain = false} = {}) {
-  const query = {'reference.credentialId': credentialId};
+async function _getUncachedRecord({
+  credentialId, tenantId, explain = false
+} = {}) {
+  const query = _getRecordQuery({credentialId, tenantId});
   const collection = database.collections[COLLECTION_NAME];
   const projection = {_id: 0};
 
@@ -261,16 +1426,231 @@ async function _getUncachedRecord({credentialId, explain = false} = {}) {
 
   const record = await collection.findOne(query, {projection});
   if(!record) {
-    const details = {
-      httpStatusCode: 404,
-      public: true
-    };
-    throw new BedrockError('VC reference record not found.', {
-      name: 'NotFoundError',
-      details
+    throw _createNotFoundError();
+  }
+  // decrypt reference secrets and return record
+  return decryptRecord({record});
+}
+
+function _getRecordQuery({credentialId, tenantId} = {}) {
+  // records w/o a tenant have no `tenantId`, which matches `null`
+  return {
+    'meta.tenantId': tenantId ?? null,
+    'reference.credentialId': credentialId
+  };
+}
+
+async function _setState({credentialId, tenantId, sequence, from, to} = {}) {
+  assert.string(credentialId, 'credentialId');
+  assert.optionalString(tenantId, 'tenantId');
+  assert.optionalNumber(sequence, 'sequence');
+
+  const now = Date.now();
+  const query = {
+    ..._getRecordQuery({credentialId, tenantId}),
+    'meta.state': {$in: from}
+  };
+  if(sequence !== undefined) {
+    query['reference.sequence'] = sequence;
+  }
+  const update = {
+    $set: {'meta.state': to, [`meta.${to}`]: now, 'meta.updated': now}
+  };
+
+  const collection = database.collections[COLLECTION_NAME];
+  const result = await collection.updateOne(query, update);
+  if(result.modifiedCount > 0) {
+    // document modified: success;
+    // clear any in-memory cache entry
+    CACHE.delete(_getCacheKey({tenantId, credentialId}));
+    return true;
+  }
+
+  // determine why the record could not be updated
+  const {reference, meta} = await _getUncachedRecord({credentialId, tenantId});
+  if(sequence !== undefined && reference.sequence !== sequence) {
+    throw new BedrockError(
+      'Could not update VC reference state. ' +
+      'Sequence does not match existing record.', {
+        name: 'InvalidStateError',
+        details: {
+          httpStatusCode: 409,
+          public: true,
+          expected: sequence
+        }
+      });
+  }
+  throw new BedrockError(
+    `Could not mark VC reference as "${to}" from state "${meta.state}".`, {
+      name: 'InvalidStateError',
+      details: {
+        httpStatusCode: 409,
+        public: true,
+        state: meta.state
+      }
     });
+}
+
+async function _patchWithRead({
+  credentialId, tenantId, expectedSequence, set, unset
+} = {}) {
+  while(true) {
+    const record = await _getUncachedRecord({credentialId, tenantId});
+    if(expectedSequence !== undefined &&
+      record.reference.sequence !== expectedSequence) {
+      throw _createSequenceMismatchError({expected: expectedSequence});
+    }
+
+    // apply patch to a copy of the existing reference
+    const reference = structuredClone(record.reference);
+    for(const [key, value] of Object.entries(set)) {
+      const path = key.split('.');
+      const last = path.pop();
+      let target = reference;
+      for(const property of path) {
+        if(!(target[property] && typeof target[property] === 'object')) {
+          target[property] = {};
+        }
+        target = target[property];
+      }
+      target[last] = value;
+    }
+    for(const key of unset) {
+      const path = key.split('.');
+      const last = path.pop();
+      const target = path.reduce((t, property) => t?.[property], reference);
+      if(target && typeof target === 'object') {
+        delete target[last];
+      }
+    }
+    reference.sequence++;
+    validateReference({reference});
+
+    try {
+      const {updated} = await _update({reference, tenantId});
+      return {reference, meta: {...record.meta, updated}};
+    } catch(e) {
+      // retry on conflict only if no sequence was expected
+      if(e.name !== 'InvalidStateError' || expectedSequence !== undefined) {
+        throw e;
+      }
+    }
+  }
+}
+
+function _startSweeper() {
+  const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+  const {sweeper} = cfg.vcReferences.lifecycle;
+  if(!sweeper.enabled) {
+    return;
+  }
+
+  const {action, interval, threshold} = sweeper;
+  const run = async () => {
+    try {
+      const {sweptCount} = await sweepReserved({threshold, action});
+      if(sweptCount > 0) {
+        logger.info(
+          `Swept ${sweptCount} reserved VC reference record(s).`, {action});
+      }
+    } catch(error) {
+      logger.error(error.message, {error});
+    }
+    if(SWEEPER_TIMER !== undefined) {
+      SWEEPER_TIMER = setTimeout(run, interval);
+      SWEEPER_TIMER.unref();
+    }
+  };
+  SWEEPER_TIMER = setTimeout(run, interval);
+  SWEEPER_TIMER.unref();
+}
+
+function _stopSweeper() {
+  clearTimeout(SWEEPER_TIMER);
+  SWEEPER_TIMER = undefined;
+}
+
+function _startCacheStatsEvents() {
+  const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+  const {eventInterval} = cfg.caches.vcReference.stats;
+  if(eventInterval === null) {
+    return;
+  }
+
+  CACHE_STATS_TIMER = setInterval(() => {
+    bedrock.events.emit(
+      'bedrock-vc-issuer-coordinator-storage.vcReferenceCache.stats',
+      getCacheStats()
+    ).catch(error => logger.error(error.message, {error}));
+  }, eventInterval);
+  CACHE_STATS_TIMER.unref();
+}
+
+function _stopCacheStatsEvents() {
+  clearInterval(CACHE_STATS_TIMER);
+  CACHE_STATS_TIMER = undefined;
+}
+
+async function _forEachBatch({query, fn} = {}) {
+  // read only the credential IDs of matching records, a batch at a time, so
+  // that `fn` can change just those records and clear their in-memory cache
+  // entries w/o loading every record into memory
+  const collection = database.collections[COLLECTION_NAME];
+  const cursor = collection.find(query, {
+    projection: {_id: 0, 'reference.credentialId': 1, 'meta.tenantId': 1},
+    batchSize: BATCH_SIZE
+  });
+  try {
+    let records = [];
+    for await (const record of cursor) {
+      records.push(record);
+      if(records.length === BATCH_SIZE) {
+        await fn({records});
+        records = [];
+      }
+    }
+    if(records.length > 0) {
+      await fn({records});
+    }
+  } finally {
+    await cursor.close();
   }
-  return record;
+}
+
+async function _removeMany({query} = {}) {
+  const collection = database.collections[COLLECTION_NAME];
+  let deletedCount = 0;
+  await _forEachBatch({
+    query,
+    async fn({records}) {
+      const credentialIds = records.map(
+        ({reference}) => reference.credentialId);
+      const result = await collection.deleteMany({
+        $and: [query, {'reference.credentialId': {$in: credentialIds}}]
+      });
+      _evictRecords({records});
+      deletedCount += result.deletedCount;
+    }
+  });
+  return {deletedCount};
+}
+
+function _excludeExpired({query} = {}) {
+  // records w/o `expires` never expire
+  const unexpired = {'meta.expires': {$not: {$lte: new Date()}}};
+  return Object.keys(query).length === 0 ?
+    unexpired : {$and: [query, unexpired]};
+}
+
+function _isSameReference({a, b} = {}) {
+  // `sequence` is excluded from comparison
+  return canonicalize({...a, sequence: 0}) ===
+    canonicalize({...b, sequence: 0});
+}
+
+function _isDuplicateWriteError(writeError) {
+  return writeError.code === MDBE_DUPLICATE ||
+    writeError.code === MDBE_DUPLICATE_ON_UPDATE;
 }
 
 /**
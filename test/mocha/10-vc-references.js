@@ -1,11 +1,19 @@
 /*!
  * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
  */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
 import {cleanDatabase, insertRecord} from './helpers.js';
 import {mockRecord1, mockRecord2} from './mock.data.js';
 import crypto from 'node:crypto';
 import {vcReferences} from '@bedrock/vc-issuer-coordinator-storage';
 
+// imports are for testing purposes only; not public exports
+import {_evict, _pollOnce} from
+  '@bedrock/vc-issuer-coordinator-storage/lib/cacheInvalidation.js';
+import {_loadKeys as _loadReferenceKeys} from
+  '@bedrock/vc-issuer-coordinator-storage/lib/referenceEncryption.js';
+
 describe('VC References', function() {
   describe('insert()', () => {
     it('should insert a record', async () => {
@@ -94,6 +102,250 @@ describe('VC References', function() {
     });
   });
 
+  describe('insertOrGet()', () => {
+    it('should insert a new record', async () => {
+      const credentialId = crypto.randomUUID();
+      const {record, created} = await vcReferences.insertOrGet({
+        reference: {credentialId, sequence: 0, a: 1}
+      });
+      created.should.equal(true);
+      const record2 = await vcReferences.get({credentialId});
+      record.should.eql(record2);
+      // records w/o a tenant must not store one
+      Object.keys(record2.meta).should.not.include('tenantId');
+    });
+
+    it('should insert a record only once w/concurrent calls', async () => {
+      const credentialId = crypto.randomUUID();
+      const results = await Promise.all([0, 1, 2, 3].map(
+        () => vcReferences.insertOrGet({
+          reference: {credentialId, sequence: 0, a: 1}
+        })));
+      results.filter(({created}) => created).length.should.equal(1);
+      for(const {record} of results) {
+        record.reference.should.eql({credentialId, sequence: 0, a: 1});
+      }
+    });
+
+    it('should get an existing record', async () => {
+      const {id: credentialId} = await vcReferences.createContentId({
+        content: {a: crypto.randomUUID()}
+      });
+      const result1 = await vcReferences.insertOrGet({
+        reference: {credentialId, sequence: 0, a: 1}
+      });
+      result1.created.should.equal(true);
+      await vcReferences.update({
+        reference: {credentialId, sequence: 1, a: 1}
+      });
+
+      // retry should get existing record regardless of `sequence`
+      const result2 = await vcReferences.insertOrGet({
+        reference: {credentialId, sequence: 0, a: 1}
+      });
+      result2.created.should.equal(false);
+      result2.record.reference.sequence.should.equal(1);
+      result2.record.meta.created.should.equal(result1.record.meta.created);
+    });
+
+    it('should error when existing record differs', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insertOrGet({
+        reference: {credentialId, sequence: 0, a: 1}
+      });
+      let err;
+      try {
+        await vcReferences.insertOrGet({
+          reference: {credentialId, sequence: 0, a: 2}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('ConstraintError');
+    });
+  });
+
+  describe('insertMany()', () => {
+    it('should insert many records', async () => {
+      const references = [];
+      for(let i = 0; i < 3; ++i) {
+        references.push({credentialId: crypto.randomUUID(), sequence: 0});
+      }
+      const {results, insertedCount} = await vcReferences.insertMany({
+        references
+      });
+      insertedCount.should.equal(3);
+      results.length.should.equal(3);
+      for(const [i, result] of results.entries()) {
+        result.status.should.equal('inserted');
+        result.credentialId.should.equal(references[i].credentialId);
+        const record = await vcReferences.get({
+          credentialId: result.credentialId
+        });
+        result.record.should.eql(record);
+      }
+    });
+
+    it('should report duplicate and invalid references', async () => {
+      const existing = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId: existing, sequence: 0}
+      });
+      const credentialId = crypto.randomUUID();
+      const {results, insertedCount} = await vcReferences.insertMany({
+        references: [
+          {credentialId: existing, sequence: 0},
+          {credentialId, sequence: 0},
+          {credentialId: crypto.randomUUID(), sequence: 1},
+          {sequence: 0}
+        ]
+      });
+      insertedCount.should.equal(1);
+      results.map(({status}) => status).should.eql(
+        ['duplicate', 'inserted', 'invalid', 'invalid']);
+      results[0].error.name.should.equal('DuplicateError');
+      results[2].error.name.should.equal('InvalidStateError');
+      results[3].error.message.should.include(
+        'reference.credentialId (string) is required');
+      const record = await vcReferences.get({credentialId});
+      results[1].record.should.eql(record);
+    });
+
+    it('should error when no "references" is passed', async () => {
+      let err;
+      try {
+        await vcReferences.insertMany();
+      } catch(e) {
+        err = e;
+      }
+      err.message.should.include('references (array) is required');
+    });
+  });
+
+  describe('findPage()', () => {
+    it('should page through matching records', async () => {
+      const group = crypto.randomUUID();
+      const credentialIds = [];
+      for(let i = 0; i < 5; ++i) {
+        const credentialId = crypto.randomUUID();
+        credentialIds.push(credentialId);
+        await vcReferences.insert({
+          reference: {credentialId, sequence: 0, group}
+        });
+      }
+      credentialIds.sort();
+
+      const query = {'reference.group': group};
+      const found = [];
+      let pageToken;
+      let pages = 0;
+      do {
+        const result = await vcReferences.findPage({
+          query, limit: 2, pageToken
+        });
+        found.push(...result.records.map(r => r.reference.credentialId));
+        pageToken = result.nextPageToken ?? undefined;
+        pages++;
+      } while(pageToken);
+      pages.should.equal(3);
+      found.should.eql(credentialIds);
+    });
+
+    it('should error w/a tampered page token', async () => {
+      const group = crypto.randomUUID();
+      for(let i = 0; i < 2; ++i) {
+        await vcReferences.insert({
+          reference: {credentialId: crypto.randomUUID(), sequence: 0, group}
+        });
+      }
+      const {nextPageToken} = await vcReferences.findPage({
+        query: {'reference.group': group}, limit: 1
+      });
+      should.exist(nextPageToken);
+
+      // change embedded query
+      const [, mac] = nextPageToken.split('.');
+      const payload = Buffer.from(JSON.stringify({
+        v: 1, q: {}, a: ''
+      })).toString('base64url');
+      let err;
+      try {
+        await vcReferences.findPage({pageToken: `${payload}.${mac}`});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+
+    it('should error w/a different query', async () => {
+      const group = crypto.randomUUID();
+      for(let i = 0; i < 2; ++i) {
+        await vcReferences.insert({
+          reference: {credentialId: crypto.randomUUID(), sequence: 0, group}
+        });
+      }
+      const {nextPageToken} = await vcReferences.findPage({
+        query: {'reference.group': group}, limit: 1
+      });
+      let err;
+      try {
+        await vcReferences.findPage({
+          query: {}, pageToken: nextPageToken
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+  });
+
+  describe('iterate()', () => {
+    it('should iterate over matching records', async () => {
+      const group = crypto.randomUUID();
+      const credentialIds = new Set();
+      for(let i = 0; i < 5; ++i) {
+        const credentialId = crypto.randomUUID();
+        credentialIds.add(credentialId);
+        await vcReferences.insert({
+          reference: {credentialId, sequence: 0, group}
+        });
+      }
+
+      const found = new Set();
+      for await (const record of vcReferences.iterate({
+        query: {'reference.group': group},
+        batchSize: 2
+      })) {
+        found.add(record.reference.credentialId);
+      }
+      found.should.eql(credentialIds);
+    });
+
+    it('should stop iterating early', async () => {
+      const group = crypto.randomUUID();
+      for(let i = 0; i < 5; ++i) {
+        await vcReferences.insert({
+          reference: {credentialId: crypto.randomUUID(), sequence: 0, group}
+        });
+      }
+
+      let count = 0;
+      for await (const record of vcReferences.iterate({
+        query: {'reference.group': group},
+        batchSize: 2
+      })) {
+        should.exist(record.reference);
+        if(++count === 3) {
+          break;
+        }
+      }
+      count.should.equal(3);
+    });
+  });
+
   describe('get()', () => {
     it('should get a record', async () => {
       const credentialId = crypto.randomUUID();
@@ -240,32 +492,1281 @@ describe('VC References', function() {
       err.name.should.equal('InvalidStateError');
     });
   });
-});
 
-describe('VC Reference Database Tests', function() {
-  describe('Indexes', function() {
-    beforeEach(async () => {
-      await cleanDatabase();
+  describe('patch()', () => {
+    it('should patch a record', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0, a: 1, b: {c: 1, d: 2}, e: 1}
+      });
+      // populate in-memory cache
+      await vcReferences.get({credentialId});
 
-      const collectionName = vcReferences.COLLECTION_NAME;
-      await insertRecord({record: mockRecord1, collectionName});
-      // second record is inserted here in order to do proper assertions for
-      // 'nReturned', 'totalKeysExamined' and 'totalDocsExamined'.
-      await insertRecord({record: mockRecord2, collectionName});
+      const record = await vcReferences.patch({
+        credentialId,
+        expectedSequence: 0,
+        set: {a: 2, 'b.c': 3},
+        unset: ['e']
+      });
+      record.reference.should.eql({
+        credentialId, sequence: 1, a: 2, b: {c: 3, d: 2}
+      });
+      // should have cleared in-memory cache entry
+      vcReferences._CACHE.cache.has(credentialId).should.equal(false);
+      const record2 = await vcReferences.get({credentialId});
+      record2.should.eql(record);
     });
-    it('is properly indexed for query of ' +
-      `'reference.credentialId' in get()`, async function() {
-      const {credentialId} = mockRecord1.reference;
-      const {executionStats} = await vcReferences.get({
-        credentialId, explain: true
+
+    it('should apply concurrent patches w/o "expectedSequence"', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
       });
-      executionStats.nReturned.should.equal(1);
-      executionStats.totalKeysExamined.should.equal(1);
-      executionStats.totalDocsExamined.should.equal(1);
-      executionStats.executionStages.inputStage.inputStage.inputStage.stage
-        .should.equal('IXSCAN');
-      executionStats.executionStages.inputStage.inputStage.inputStage
-        .keyPattern.should.eql({'reference.credentialId': 1});
+      await Promise.all([
+        vcReferences.patch({credentialId, set: {a: 1}}),
+        vcReferences.patch({credentialId, set: {b: 1}})
+      ]);
+      const record = await vcReferences.get({credentialId});
+      record.reference.should.eql({credentialId, sequence: 2, a: 1, b: 1});
+    });
+
+    it('should error when wrong "expectedSequence" is passed', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      let err;
+      try {
+        await vcReferences.patch({
+          credentialId, expectedSequence: 1, set: {a: 1}
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('InvalidStateError');
+      err.details.expected.should.equal(1);
+    });
+
+    it('should error when patching "sequence"', async () => {
+      let err;
+      try {
+        await vcReferences.patch({
+          credentialId: crypto.randomUUID(), set: {sequence: 1}
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('TypeError');
+    });
+
+    it('should get not found error', async () => {
+      let err;
+      try {
+        await vcReferences.patch({
+          credentialId: crypto.randomUUID(), set: {a: 1}
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('stats()', () => {
+    it('should compute grouped counts and histograms', async () => {
+      const group = crypto.randomUUID();
+      const references = [
+        {indexAllocator: 'urn:a', revoked: true},
+        {indexAllocator: 'urn:a', revoked: false},
+        {indexAllocator: 'urn:a', revoked: true},
+        {indexAllocator: 'urn:b', revoked: true},
+        {}
+      ];
+      for(const reference of references) {
+        await vcReferences.insert({
+          reference: {
+            credentialId: crypto.randomUUID(), sequence: 0, group, ...reference
+          }
+        });
+      }
+
+      const interval = 24 * 60 * 60 * 1000;
+      const result = await vcReferences.stats({
+        query: {'reference.group': group},
+        groupBy: ['reference.indexAllocator', 'reference.revoked'],
+        interval
+      });
+      result.count.should.equal(5);
+      result.groups.length.should.equal(4);
+      result.groups[0].should.eql({
+        key: {'reference.indexAllocator': 'urn:a', 'reference.revoked': true},
+        count: 2
+      });
+      result.groups.should.deep.include({
+        key: {'reference.indexAllocator': null, 'reference.revoked': null},
+        count: 1
+      });
+      result.created.map(({count}) => count).reduce((a, b) => a + b)
+        .should.equal(5);
+      for(const {start} of result.created) {
+        (start % interval).should.equal(0);
+      }
+      should.exist(result.updated);
+    });
+
+    it('should only compute count by default', async () => {
+      const result = await vcReferences.stats({
+        query: {'reference.credentialId': crypto.randomUUID()}
+      });
+      result.should.eql({count: 0});
+    });
+
+    it('should explain a stats aggregation', async () => {
+      const result = await vcReferences.stats({
+        groupBy: 'meta.state', explain: true
+      });
+      should.exist(result);
+    });
+
+    it('should error when "groupBy" is an expression', async () => {
+      let err;
+      try {
+        await vcReferences.stats({groupBy: '$meta.state'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+    });
+  });
+
+  describe('mutate()', () => {
+    it('should mutate a record', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0, a: 1}
+      });
+      // populate in-memory cache
+      await vcReferences.get({credentialId});
+
+      const record = await vcReferences.mutate({
+        credentialId,
+        fn: async ({record}) => ({
+          ...record.reference, a: record.reference.a + 1
+        })
+      });
+      record.reference.should.eql({credentialId, sequence: 1, a: 2});
+      const record2 = await vcReferences.get({credentialId});
+      record2.should.eql(record);
+    });
+
+    it('should not write when "fn" returns undefined', async () => {
+      const credentialId = crypto.randomUUID();
+      const {meta} = await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      const record = await vcReferences.mutate({
+        credentialId, fn: async () => undefined
+      });
+      record.reference.sequence.should.equal(0);
+      record.meta.updated.should.equal(meta.updated);
+    });
+
+    it('should retry on conflict bypassing stale cache', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0, count: 0}
+      });
+      // populate in-memory cache; becomes stale below
+      await vcReferences.get({credentialId});
+
+      let calls = 0;
+      const record = await vcReferences.mutate({
+        credentialId,
+        fn: async ({record}) => {
+          if(++calls === 1) {
+            // simulate a concurrent writer
+            await vcReferences.update({
+              reference: {
+                ...record.reference,
+                sequence: record.reference.sequence + 1,
+                count: 10
+              }
+            });
+          }
+          return {...record.reference, count: record.reference.count + 1};
+        }
+      });
+      calls.should.equal(2);
+      record.reference.should.eql({credentialId, sequence: 2, count: 11});
+    });
+
+    it('should apply concurrent mutations', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0, count: 0}
+      });
+      const fn = async ({record}) => ({
+        ...record.reference, count: record.reference.count + 1
+      });
+      await Promise.all([
+        vcReferences.mutate({credentialId, fn}),
+        vcReferences.mutate({credentialId, fn}),
+        vcReferences.mutate({credentialId, fn})
+      ]);
+      const record = await vcReferences.get({credentialId});
+      record.reference.should.eql({credentialId, sequence: 3, count: 3});
+    });
+
+    it('should throw conflict error after "maxRetries"', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      let calls = 0;
+      let err;
+      try {
+        await vcReferences.mutate({
+          credentialId,
+          maxRetries: 1,
+          fn: async ({record}) => {
+            calls++;
+            // always conflict
+            await vcReferences.update({
+              reference: {
+                ...record.reference, sequence: record.reference.sequence + 1
+              }
+            });
+            return record.reference;
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+      calls.should.equal(2);
+    });
+
+    it('should get not found error', async () => {
+      let err;
+      try {
+        await vcReferences.mutate({
+          credentialId: crypto.randomUUID(), fn: async () => ({})
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('remove()', () => {
+    it('should remove a record', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      // populate in-memory cache
+      await vcReferences.get({credentialId});
+      vcReferences._CACHE.cache.has(credentialId).should.equal(true);
+
+      const result = await vcReferences.remove({credentialId});
+      result.should.equal(true);
+      // should have cleared in-memory cache entry
+      vcReferences._CACHE.cache.has(credentialId).should.equal(false);
+
+      let err;
+      try {
+        await vcReferences.get({credentialId});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should remove a record w/matching "sequence"', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      const result = await vcReferences.remove({credentialId, sequence: 0});
+      result.should.equal(true);
+    });
+
+    it('should error when wrong "sequence" is passed', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      let err;
+      try {
+        await vcReferences.remove({credentialId, sequence: 1});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('InvalidStateError');
+      err.details.expected.should.equal(1);
+      // record should remain
+      await vcReferences.get({credentialId, useCache: false});
+    });
+
+    it('should get not found error', async () => {
+      let err;
+      try {
+        await vcReferences.remove({credentialId: crypto.randomUUID()});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should error when no "credentialId" is passed', async () => {
+      let err;
+      try {
+        await vcReferences.remove();
+      } catch(e) {
+        err = e;
+      }
+      err.message.should.include('credentialId (string) is required');
+    });
+  });
+
+  describe('removeMany()', () => {
+    it('should remove matching records', async () => {
+      const credentialIds = [];
+      for(let i = 0; i < 3; ++i) {
+        const credentialId = crypto.randomUUID();
+        credentialIds.push(credentialId);
+        await vcReferences.insert({
+          reference: {credentialId, sequence: 0, group: i < 2 ? 'a' : 'b'}
+        });
+        await vcReferences.get({credentialId});
+      }
+
+      const result = await vcReferences.removeMany({
+        query: {'reference.group': 'a'}
+      });
+      result.deletedCount.should.equal(2);
+      vcReferences._CACHE.cache.has(credentialIds[0]).should.equal(false);
+      vcReferences._CACHE.cache.has(credentialIds[1]).should.equal(false);
+      vcReferences._CACHE.cache.has(credentialIds[2]).should.equal(true);
+      const count = await vcReferences.count({
+        query: {'reference.credentialId': {$in: credentialIds}}
+      });
+      count.should.equal(1);
+    });
+
+    it('should remove more records than fit in one batch', async () => {
+      const group = crypto.randomUUID();
+      const references = [];
+      for(let i = 0; i < 2500; ++i) {
+        references.push({
+          credentialId: crypto.randomUUID(), sequence: 0, group
+        });
+      }
+      await vcReferences.insertMany({references});
+
+      const result = await vcReferences.removeMany({
+        query: {'reference.group': group}
+      });
+      result.deletedCount.should.equal(2500);
+      const count = await vcReferences.count({
+        query: {'reference.group': group}
+      });
+      count.should.equal(0);
+    });
+
+    it('should error when no "query" is passed', async () => {
+      let err;
+      try {
+        await vcReferences.removeMany();
+      } catch(e) {
+        err = e;
+      }
+      err.message.should.include('query (object) is required');
+    });
+  });
+
+  describe('lifecycle', () => {
+    it('should insert a "reserved" record by default', async () => {
+      const credentialId = crypto.randomUUID();
+      const record = await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      record.meta.state.should.equal('reserved');
+      record.meta.reserved.should.equal(record.meta.created);
+    });
+
+    it('should insert an "issued" record', async () => {
+      const credentialId = crypto.randomUUID();
+      const record = await vcReferences.insert({
+        reference: {credentialId, sequence: 0},
+        state: 'issued'
+      });
+      record.meta.state.should.equal('issued');
+      should.exist(record.meta.issued);
+    });
+
+    it('should mark a record as "issued"', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      // populate in-memory cache
+      await vcReferences.get({credentialId});
+
+      const result = await vcReferences.markIssued({
+        credentialId, sequence: 0
+      });
+      result.should.equal(true);
+      const record = await vcReferences.get({credentialId});
+      record.meta.state.should.equal('issued');
+      should.exist(record.meta.issued);
+      record.reference.sequence.should.equal(0);
+    });
+
+    it('should mark a record as "abandoned"', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      await vcReferences.markAbandoned({credentialId});
+      const record = await vcReferences.get({credentialId});
+      record.meta.state.should.equal('abandoned');
+      should.exist(record.meta.abandoned);
+    });
+
+    it('should not mark an "issued" record as "abandoned"', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      await vcReferences.markIssued({credentialId});
+      let err;
+      try {
+        await vcReferences.markAbandoned({credentialId});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('InvalidStateError');
+      err.details.state.should.equal('issued');
+    });
+
+    it('should error when wrong "sequence" is passed', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      let err;
+      try {
+        await vcReferences.markIssued({credentialId, sequence: 1});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('InvalidStateError');
+      err.details.expected.should.equal(1);
+    });
+
+    it('should get not found error', async () => {
+      let err;
+      try {
+        await vcReferences.markIssued({credentialId: crypto.randomUUID()});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should set a status', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({reference: {credentialId, sequence: 0}});
+      // populate in-memory cache
+      await vcReferences.get({credentialId});
+      await vcReferences.setStatus({
+        credentialId, statusPurpose: 'suspension', value: true,
+        indexAllocator: 'urn:a', syncId: 'a'
+      });
+      const record = await vcReferences.get({credentialId});
+      record.reference.sequence.should.equal(0);
+      record.meta.status.suspension.value.should.equal(true);
+      record.meta.status.suspension.indexAllocator.should.equal('urn:a');
+      record.meta.status.suspension.syncId.should.equal('a');
+    });
+
+    it('should error when setting an invalid status purpose', async () => {
+      let err;
+      try {
+        await vcReferences.setStatus({
+          credentialId: crypto.randomUUID(), statusPurpose: 'a.b', value: true
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+    });
+
+    it('should sweep old "reserved" records', async () => {
+      const reserved = crypto.randomUUID();
+      const issued = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId: reserved, sequence: 0}
+      });
+      await vcReferences.insert({
+        reference: {credentialId: issued, sequence: 0},
+        state: 'issued'
+      });
+
+      // nothing should be old enough to sweep
+      let result = await vcReferences.sweepReserved({threshold: 60 * 1000});
+      result.sweptCount.should.equal(0);
+
+      result = await vcReferences.sweepReserved({threshold: -1000});
+      result.sweptCount.should.be.at.least(1);
+      let record = await vcReferences.get({credentialId: reserved});
+      record.meta.state.should.equal('abandoned');
+      record = await vcReferences.get({credentialId: issued});
+      record.meta.state.should.equal('issued');
+    });
+
+    it('should sweep more records than fit in one batch', async () => {
+      const group = crypto.randomUUID();
+      const references = [];
+      for(let i = 0; i < 2500; ++i) {
+        references.push({
+          credentialId: crypto.randomUUID(), sequence: 0, group
+        });
+      }
+      await vcReferences.insertMany({references});
+
+      const result = await vcReferences.sweepReserved({threshold: -1000});
+      result.sweptCount.should.be.at.least(2500);
+      const count = await vcReferences.count({
+        query: {'reference.group': group, 'meta.state': 'abandoned'}
+      });
+      count.should.equal(2500);
+    });
+
+    it('should sweep old "reserved" records by removal', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      const result = await vcReferences.sweepReserved({
+        threshold: -1000, action: 'remove'
+      });
+      result.sweptCount.should.be.at.least(1);
+      let err;
+      try {
+        await vcReferences.get({credentialId});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('setValidator()', () => {
+    before(() => {
+      vcReferences.setValidator({
+        schema: {
+          type: 'object',
+          required: ['credentialId', 'sequence'],
+          properties: {
+            credentialId: {type: 'string'},
+            sequence: {type: 'number'},
+            subjectName: {type: 'string'}
+          }
+        }
+      });
+    });
+    after(() => {
+      vcReferences.setValidator({schema: null});
+    });
+
+    it('should insert and update a valid reference', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0, subjectName: 'a'}
+      });
+      await vcReferences.update({
+        reference: {credentialId, sequence: 1, subjectName: 'b'}
+      });
+    });
+
+    it('should error when inserting an invalid reference', async () => {
+      let err;
+      try {
+        await vcReferences.insert({
+          reference: {
+            credentialId: crypto.randomUUID(), sequence: 0, subjectName: 1
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+      err.details.errors[0].instancePath.should.equal('/subjectName');
+    });
+
+    it('should error when updating w/an invalid reference', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      let err;
+      try {
+        await vcReferences.update({
+          reference: {credentialId, sequence: 1, subjectName: 1}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+      err.details.errors[0].instancePath.should.equal('/subjectName');
+    });
+
+    it('should error when patching w/an invalid value', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      let err;
+      try {
+        await vcReferences.patch({credentialId, set: {subjectName: 1}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+      const record = await vcReferences.get({credentialId});
+      record.reference.sequence.should.equal(0);
+    });
+
+    it('should report invalid references in insertMany()', async () => {
+      const {results} = await vcReferences.insertMany({
+        references: [
+          {credentialId: crypto.randomUUID(), sequence: 0},
+          {credentialId: crypto.randomUUID(), sequence: 0, subjectName: 1}
+        ]
+      });
+      results.map(({status}) => status).should.eql(['inserted', 'invalid']);
+      results[1].error.name.should.equal('DataError');
+    });
+  });
+
+  describe('record encryption', () => {
+    before(() => {
+      const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+      cfg.vcReferences.recordEncryption.kek = {
+        id: 'urn:test:kek',
+        secretKeyMultibase: 'uogHJrlqLtq1bUzjn-TVqdxwZnQZFeADOn9n9mtjLQldjXE'
+      };
+      cfg.vcReferences.recordEncryption.nonSecretProperties = ['group'];
+      _loadReferenceKeys();
+    });
+    after(() => {
+      const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+      cfg.vcReferences.recordEncryption.kek = null;
+      cfg.vcReferences.recordEncryption.nonSecretProperties = [];
+      _loadReferenceKeys();
+    });
+
+    it('should encrypt reference secrets', async () => {
+      const credentialId = crypto.randomUUID();
+      const group = crypto.randomUUID();
+      const reference = {
+        credentialId, sequence: 0, indexAllocator: 'urn:test', group,
+        subject: 'did:example:secret'
+      };
+      const record1 = await vcReferences.insert({reference});
+      record1.reference.should.eql(reference);
+
+      // stored record should have encrypted secrets
+      const collection = database.collections[vcReferences.COLLECTION_NAME];
+      const stored = await collection.findOne(
+        {'reference.credentialId': credentialId}, {projection: {_id: 0}});
+      stored.reference.should.include.keys([
+        'credentialId', 'sequence', 'indexAllocator', 'group', 'encrypted'
+      ]);
+      should.not.exist(stored.reference.subject);
+      stored.reference.encrypted.kekId.should.equal('urn:test:kek');
+
+      // secrets should be decrypted transparently
+      const record2 = await vcReferences.get({credentialId, useCache: false});
+      record2.should.eql(record1);
+      const records = await vcReferences.find({
+        query: {'reference.group': group}
+      });
+      records.length.should.equal(1);
+      records[0].reference.should.eql(reference);
+
+      // update should also encrypt secrets
+      await vcReferences.update({
+        reference: {...reference, sequence: 1, subject: 'did:example:new'}
+      });
+      const record3 = await vcReferences.get({credentialId});
+      record3.reference.subject.should.equal('did:example:new');
+    });
+  });
+
+  describe('not found cache', () => {
+    before(() => {
+      const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+      cfg.caches.vcReferenceNotFound.enabled = true;
+    });
+    after(() => {
+      const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+      cfg.caches.vcReferenceNotFound.enabled = false;
+      vcReferences._NOT_FOUND_CACHE.cache.clear();
+    });
+
+    it('should cache not found lookups', async () => {
+      const credentialId = crypto.randomUUID();
+      let err;
+      try {
+        await vcReferences.get({credentialId});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+      vcReferences._NOT_FOUND_CACHE.cache.has(credentialId)
+        .should.equal(true);
+
+      // insert w/o using the API; lookup should still report not found
+      await insertRecord({
+        record: {
+          meta: {created: Date.now(), updated: Date.now()},
+          reference: {credentialId, sequence: 0}
+        },
+        collectionName: vcReferences.COLLECTION_NAME
+      });
+      err = undefined;
+      try {
+        await vcReferences.get({credentialId});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+
+      // an uncached lookup should find the record
+      const record = await vcReferences.get({credentialId, useCache: false});
+      record.reference.credentialId.should.equal(credentialId);
+    });
+
+    it('should evict not found entries on insert', async () => {
+      const credentialId = crypto.randomUUID();
+      let err;
+      try {
+        await vcReferences.get({credentialId});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+      vcReferences._NOT_FOUND_CACHE.cache.has(credentialId)
+        .should.equal(true);
+
+      const record1 = await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      vcReferences._NOT_FOUND_CACHE.cache.has(credentialId)
+        .should.equal(false);
+      const record2 = await vcReferences.get({credentialId});
+      record1.should.eql(record2);
+    });
+
+    it('should evict not found entries on insertMany', async () => {
+      const credentialId = crypto.randomUUID();
+      let err;
+      try {
+        await vcReferences.get({credentialId});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+
+      await vcReferences.insertMany({
+        references: [{credentialId, sequence: 0}]
+      });
+      vcReferences._NOT_FOUND_CACHE.cache.has(credentialId)
+        .should.equal(false);
+      await vcReferences.get({credentialId});
+    });
+  });
+
+  describe('getCacheStats()', () => {
+    it('should track hits, misses, and hot keys', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({reference: {credentialId, sequence: 0}});
+
+      const before = vcReferences.getCacheStats();
+      // miss, then hits
+      await vcReferences.get({credentialId});
+      await vcReferences.get({credentialId});
+      await vcReferences.get({credentialId});
+      const after = vcReferences.getCacheStats({hotKeyCount: 100});
+      (after.misses - before.misses).should.equal(1);
+      (after.hits - before.hits).should.equal(2);
+      after.loading.should.equal(0);
+      after.size.should.equal(vcReferences._CACHE.cache.size);
+      after.max.should.equal(vcReferences._CACHE.cache.max);
+      after.hotKeys.should.deep.include({key: credentialId, hits: 2});
+
+      // hot key is removed along w/its cache entry
+      vcReferences._CACHE.delete(credentialId);
+      const {hotKeys} = vcReferences.getCacheStats({hotKeyCount: 100});
+      hotKeys.map(({key}) => key).should.not.include(credentialId);
+    });
+
+    it('should count in-flight loads', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({reference: {credentialId, sequence: 0}});
+
+      const before = vcReferences.getCacheStats();
+      const promise = vcReferences.get({credentialId});
+      vcReferences.getCacheStats().loading.should.equal(1);
+      // shares the in-flight load
+      await Promise.all([promise, vcReferences.get({credentialId})]);
+      const after = vcReferences.getCacheStats();
+      after.loading.should.equal(0);
+      (after.misses - before.misses).should.equal(1);
+      (after.hits - before.hits).should.equal(1);
+    });
+  });
+
+  describe('cache invalidation', () => {
+    it('should evict changed and removed records when polling', async () => {
+      vcReferences._CACHE.cache.clear();
+
+      const credentialIds = [];
+      for(let i = 0; i < 3; ++i) {
+        const credentialId = crypto.randomUUID();
+        credentialIds.push(credentialId);
+        await vcReferences.insert({
+          reference: {credentialId, sequence: 0}
+        });
+        // populate in-memory cache
+        await vcReferences.get({credentialId});
+      }
+      vcReferences._CACHE.cache.size.should.equal(3);
+
+      // change records w/o using the API, as another process would
+      const collection = database.collections[vcReferences.COLLECTION_NAME];
+      await collection.updateOne(
+        {'reference.credentialId': credentialIds[0]},
+        {$set: {'reference.sequence': 1, 'meta.updated': Date.now() + 1}});
+      await collection.deleteOne(
+        {'reference.credentialId': credentialIds[1]});
+
+      const evicted = await _pollOnce();
+      evicted.should.equal(2);
+      vcReferences._CACHE.cache.has(credentialIds[0]).should.equal(false);
+      vcReferences._CACHE.cache.has(credentialIds[1]).should.equal(false);
+      vcReferences._CACHE.cache.has(credentialIds[2]).should.equal(true);
+    });
+
+    it('should clear the cache once for removals w/o pre-images', async () => {
+      vcReferences._CACHE.cache.clear();
+
+      const credentialIds = [];
+      for(let i = 0; i < 2; ++i) {
+        const credentialId = crypto.randomUUID();
+        credentialIds.push(credentialId);
+        await vcReferences.insert({
+          reference: {credentialId, sequence: 0}
+        });
+        // populate in-memory cache
+        await vcReferences.get({credentialId});
+      }
+
+      // a removal w/a pre-image evicts only the removed record
+      _evict({
+        operationType: 'delete',
+        fullDocumentBeforeChange: {
+          reference: {credentialId: credentialIds[0], sequence: 0}, meta: {}
+        }
+      });
+      vcReferences._CACHE.cache.has(credentialIds[0]).should.equal(false);
+      vcReferences._CACHE.cache.has(credentialIds[1]).should.equal(true);
+
+      // removals w/o pre-images clear the cache after the batch of changes
+      _evict({operationType: 'delete', documentKey: {_id: 1}});
+      _evict({operationType: 'delete', documentKey: {_id: 2}});
+      vcReferences._CACHE.cache.has(credentialIds[1]).should.equal(true);
+      await new Promise(resolve => setImmediate(resolve));
+      vcReferences._CACHE.cache.size.should.equal(0);
+    });
+  });
+
+  describe('expiration', () => {
+    it('should insert a record w/"expires"', async () => {
+      const credentialId = crypto.randomUUID();
+      const expires = new Date(Date.now() + 60 * 60 * 1000);
+      const record = await vcReferences.insert({
+        reference: {credentialId, sequence: 0}, expires
+      });
+      record.meta.expires.should.eql(expires);
+      const record2 = await vcReferences.get({credentialId, useCache: false});
+      record2.meta.expires.should.eql(expires);
+    });
+
+    it('should insert many records w/"expires"', async () => {
+      const credentialIds = [crypto.randomUUID(), crypto.randomUUID()];
+      const expires = new Date(Date.now() + 60 * 60 * 1000);
+      const {results} = await vcReferences.insertMany({
+        references: credentialIds.map(
+          credentialId => ({credentialId, sequence: 0})),
+        expires
+      });
+      for(const {record} of results) {
+        record.meta.expires.should.eql(expires);
+      }
+      for(const credentialId of credentialIds) {
+        const record = await vcReferences.get({credentialId, useCache: false});
+        record.meta.expires.should.eql(expires);
+      }
+
+      let err;
+      try {
+        await vcReferences.insertMany({
+          references: [{credentialId: crypto.randomUUID(), sequence: 0}],
+          expires: Date.now()
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('AssertionError');
+    });
+
+    it('should set "expires" on update', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({reference: {credentialId, sequence: 0}});
+      const expires = new Date(Date.now() + 60 * 60 * 1000);
+      await vcReferences.update({
+        reference: {credentialId, sequence: 1}, expires
+      });
+      const record = await vcReferences.get({credentialId});
+      record.meta.expires.should.eql(expires);
+
+      // `expires` is kept when not given
+      await vcReferences.update({reference: {credentialId, sequence: 2}});
+      const record2 = await vcReferences.get({credentialId});
+      record2.meta.expires.should.eql(expires);
+    });
+
+    it('should exclude expired records', async () => {
+      const past = new Date(Date.now() - 60 * 1000);
+      const future = new Date(Date.now() + 60 * 60 * 1000);
+      const ids = [crypto.randomUUID(), crypto.randomUUID()];
+      const group = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId: ids[0], sequence: 0, group},
+        expires: past
+      });
+      await vcReferences.insert({
+        reference: {credentialId: ids[1], sequence: 0, group},
+        expires: future
+      });
+      await vcReferences.insert({
+        reference: {credentialId: crypto.randomUUID(), sequence: 0, group}
+      });
+
+      const query = {'reference.group': group};
+      (await vcReferences.count({query})).should.equal(3);
+      (await vcReferences.count({query, excludeExpired: true}))
+        .should.equal(2);
+      const records = await vcReferences.find({query, excludeExpired: true});
+      records.length.should.equal(2);
+      records.map(r => r.reference.credentialId).should.not.include(ids[0]);
+      const iterated = [];
+      for await (const record of vcReferences.iterate({
+        query, excludeExpired: true
+      })) {
+        iterated.push(record.reference.credentialId);
+      }
+      iterated.length.should.equal(2);
+      iterated.should.include(ids[1]);
+    });
+
+    it('should error when "expires" is not a Date', async () => {
+      let err;
+      try {
+        await vcReferences.insert({
+          reference: {credentialId: crypto.randomUUID(), sequence: 0},
+          expires: Date.now()
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('AssertionError');
+    });
+  });
+
+  describe('getHistory()', () => {
+    before(() => {
+      const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+      cfg.vcReferences.history.enabled = true;
+    });
+    after(() => {
+      const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+      cfg.vcReferences.history.enabled = false;
+      cfg.vcReferences.history.retention = null;
+    });
+
+    it('should get the history of a record', async () => {
+      const credentialId = crypto.randomUUID();
+      const record0 = await vcReferences.insert({
+        reference: {credentialId, sequence: 0, value: 'a'}
+      });
+      await vcReferences.update({
+        reference: {credentialId, sequence: 1, value: 'b'}
+      });
+      const record1 = await vcReferences.get({credentialId});
+      await vcReferences.update({
+        reference: {credentialId, sequence: 2, value: 'c'}
+      });
+
+      const entries = await vcReferences.getHistory({credentialId});
+      entries.length.should.equal(2);
+      entries[0].history.should.eql({
+        credentialId, sequence: 0, ...record0
+      });
+      entries[1].history.should.eql({
+        credentialId, sequence: 1, ...record1
+      });
+      should.not.exist(entries[0].meta.expires);
+    });
+
+    it('should set "expires" w/a retention period', async () => {
+      const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+      cfg.vcReferences.history.retention = 60 * 60 * 1000;
+
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      await vcReferences.update({
+        reference: {credentialId, sequence: 1}
+      });
+
+      const entries = await vcReferences.getHistory({credentialId});
+      entries.length.should.equal(1);
+      entries[0].meta.expires.should.be.a('Date');
+    });
+
+    it('should not store history when a sequence mismatch occurs', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}
+      });
+      let err;
+      try {
+        await vcReferences.update({
+          reference: {credentialId, sequence: 2}
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('InvalidStateError');
+      const entries = await vcReferences.getHistory({credentialId});
+      entries.length.should.equal(0);
+    });
+
+    it('should error when no "credentialId" is passed', async () => {
+      let err;
+      try {
+        await vcReferences.getHistory();
+      } catch(e) {
+        err = e;
+      }
+      err.message.should.include('credentialId (string) is required');
+    });
+  });
+});
+
+describe('VC Reference Database Tests', function() {
+  describe('tenants', () => {
+    it('should scope records to their tenant', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0, tenant: 'a'}, tenantId: 'a'
+      });
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0, tenant: 'b'}, tenantId: 'b'
+      });
+
+      const recordA = await vcReferences.get({credentialId, tenantId: 'a'});
+      recordA.reference.tenant.should.equal('a');
+      recordA.meta.tenantId.should.equal('a');
+      const recordB = await vcReferences.get({credentialId, tenantId: 'b'});
+      recordB.reference.tenant.should.equal('b');
+
+      // not visible w/o a tenant or to another tenant
+      for(const tenantId of [undefined, 'c']) {
+        let err;
+        try {
+          await vcReferences.get({credentialId, tenantId, useCache: false});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+      }
+      const query = {'reference.credentialId': credentialId};
+      (await vcReferences.count({query})).should.equal(0);
+      const records = await vcReferences.find({query, tenantId: 'a'});
+      records.map(({reference}) => reference.tenant).should.eql(['a']);
+      const page = await vcReferences.findPage({query, tenantId: 'b'});
+      page.records.map(({reference}) => reference.tenant).should.eql(['b']);
+    });
+
+    it('should change records of one tenant only', async () => {
+      const credentialId = crypto.randomUUID();
+      for(const tenantId of ['a', 'b']) {
+        await vcReferences.insert({
+          reference: {credentialId, sequence: 0}, tenantId
+        });
+        // populate in-memory cache
+        await vcReferences.get({credentialId, tenantId});
+      }
+
+      await vcReferences.update({
+        reference: {credentialId, sequence: 1, a: 1}, tenantId: 'a'
+      });
+      await vcReferences.patch({credentialId, tenantId: 'a', set: {b: 1}});
+      await vcReferences.setStatus({
+        credentialId, tenantId: 'a', statusPurpose: 'revocation', value: true
+      });
+      const recordA = await vcReferences.get({credentialId, tenantId: 'a'});
+      recordA.reference.should.eql({credentialId, sequence: 2, a: 1, b: 1});
+      recordA.meta.status.revocation.value.should.equal(true);
+      const recordB = await vcReferences.get({credentialId, tenantId: 'b'});
+      recordB.reference.should.eql({credentialId, sequence: 0});
+      should.not.exist(recordB.meta.status);
+
+      await vcReferences.remove({credentialId, tenantId: 'a'});
+      await vcReferences.get({credentialId, tenantId: 'b'});
+      const {deletedCount} = await vcReferences.removeMany({
+        query: {'reference.credentialId': credentialId}
+      });
+      deletedCount.should.equal(0);
+    });
+
+    it('should evict changed tenant records when polling', async () => {
+      vcReferences._CACHE.cache.clear();
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}, tenantId: 'a'
+      });
+      await vcReferences.get({credentialId, tenantId: 'a'});
+      vcReferences._CACHE.cache.size.should.equal(1);
+
+      // change record w/o using the API, as another process would
+      const collection = database.collections[vcReferences.COLLECTION_NAME];
+      await collection.updateOne(
+        {'meta.tenantId': 'a', 'reference.credentialId': credentialId},
+        {$set: {'reference.sequence': 1, 'meta.updated': Date.now() + 1}});
+
+      const evicted = await _pollOnce();
+      evicted.should.equal(1);
+      vcReferences._CACHE.cache.size.should.equal(0);
+    });
+
+    it('should report the tenant of hot keys', async () => {
+      const credentialId = crypto.randomUUID();
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}, tenantId: 'a'
+      });
+      await vcReferences.get({credentialId, tenantId: 'a'});
+      await vcReferences.get({credentialId, tenantId: 'a'});
+      const {hotKeys} = vcReferences.getCacheStats({hotKeyCount: 100});
+      hotKeys.should.deep.include({key: credentialId, tenantId: 'a', hits: 1});
+    });
+  });
+
+  describe('Indexes', function() {
+    beforeEach(async () => {
+      await cleanDatabase();
+
+      const collectionName = vcReferences.COLLECTION_NAME;
+      await insertRecord({record: mockRecord1, collectionName});
+      // second record is inserted here in order to do proper assertions for
+      // 'nReturned', 'totalKeysExamined' and 'totalDocsExamined'.
+      await insertRecord({record: mockRecord2, collectionName});
+    });
+    it('is properly indexed for query of ' +
+      `'reference.credentialId' in get()`, async function() {
+      const {credentialId} = mockRecord1.reference;
+      const {executionStats} = await vcReferences.get({
+        credentialId, explain: true
+      });
+      executionStats.nReturned.should.equal(1);
+      executionStats.totalKeysExamined.should.equal(1);
+      executionStats.totalDocsExamined.should.equal(1);
+      executionStats.executionStages.inputStage.inputStage.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage.inputStage.inputStage
+        .keyPattern.should.eql(
+          {'meta.tenantId': 1, 'reference.credentialId': 1});
+    });
+    it('is properly indexed for query of ' +
+      `'reference.indexTest' in find() w/custom index`, async function() {
+      const {executionStats} = await vcReferences.find({
+        query: {'reference.indexTest': 'a'},
+        options: {collation: {locale: 'en', strength: 2}},
+        explain: true
+      });
+      executionStats.executionStages.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage
+        .keyPattern.should.eql({'reference.indexTest': 1});
+    });
+    it('is properly indexed for query of ' +
+      `'meta.status.<statusPurpose>.value' in find()`, async function() {
+      const {executionStats} = await vcReferences.find({
+        query: {'meta.status.revocation.value': true},
+        explain: true
+      });
+      executionStats.executionStages.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage
+        .keyPattern.should.eql({$_path: 1, 'meta.status.revocation.value': 1});
+    });
+    it('is properly indexed for query of ' +
+      `'reference.credentialId' in remove()`, async function() {
+      const {credentialId} = mockRecord1.reference;
+      const {executionStats} = await vcReferences.remove({
+        credentialId, explain: true
+      });
+      executionStats.nReturned.should.equal(1);
+      executionStats.totalKeysExamined.should.equal(1);
+      executionStats.totalDocsExamined.should.equal(1);
+      executionStats.executionStages.inputStage.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage.inputStage
+        .keyPattern.should.eql(
+          {'meta.tenantId': 1, 'reference.credentialId': 1});
+    });
+    it('is properly indexed for query of ' +
+      `'history.credentialId' in getHistory()`, async function() {
+      const {credentialId} = mockRecord1.reference;
+      const {executionStats} = await vcReferences.getHistory({
+        credentialId, explain: true
+      });
+      executionStats.nReturned.should.equal(0);
+      executionStats.executionStages.inputStage.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage.inputStage
+        .keyPattern.should.eql({
+          'history.tenantId': 1, 'history.credentialId': 1,
+          'history.sequence': 1
+        });
     });
   });
 });
@@ -2,12 +2,18 @@
  * Copyright (c) 2024-2025 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
 import * as helpers from './helpers.js';
 import {
-  syncCredentialStatus, vcReferences
+  isRetryableError, replayDeadLetter, syncCredentialStatus, syncDeadLetters,
+  syncRecords, vcReferences
 } from '@bedrock/vc-issuer-coordinator-storage';
 import {randomUUID} from 'node:crypto';
 
+// imports are for testing purposes only; not public exports
+import {_loadKeys as _loadReferenceKeys} from
+  '@bedrock/vc-issuer-coordinator-storage/lib/referenceEncryption.js';
+
 describe('Sync API', function() {
   describe('syncCredentialStatus()', () => {
     let credentialIds;
@@ -148,6 +154,335 @@ describe('Sync API', function() {
       should.not.exist(result);
       should.exist(err?.cause?.cause);
       err.cause.cause.message.should.equal('Credential not found.');
+
+      // error should include a result for every update
+      const {results} = err.details;
+      results.map(({outcome}) => outcome).should.eql(
+        ['applied', 'applied', 'applied', 'failed']);
+      const [, , , failed] = results;
+      failed.credentialId.should.equal('urn:special:not-found:1');
+      // errors in results are plain objects
+      failed.error.should.not.be.an.instanceof(Error);
+      failed.error.name.should.equal(err.name);
+      failed.error.message.should.equal(err.message);
+      // a 404 is not retried
+      failed.attempts.should.equal(1);
+      failed.duration.should.be.a('number');
+    });
+
+    it('resumes a failed batch w/o reapplying completed updates', async () => {
+      // add "dangling" `vcReference` record that has no associated VC
+      {
+        const credentialId = 'urn:special:not-found:1';
+        credentialIds.push(credentialId);
+        await vcReferences.insert({
+          reference: {
+            sequence: 0,
+            credentialId,
+            shouldRemain: true
+          }
+        });
+      }
+
+      const getStatusUpdates = async ({
+        cursor = {index: 0}, limit = 100
+      } = {}) => {
+        const updates = [];
+        let {index = 0} = cursor;
+        while(index < credentialIds.length) {
+          if(updates.length === limit) {
+            break;
+          }
+          const credentialId = credentialIds[index++];
+          updates.push({
+            credentialId,
+            getCredentialCapability,
+            updateStatusCapability,
+            status: {
+              indexAllocator: 'urn:correct',
+              credentialStatus: {
+                type: 'BitstringStatusListEntry',
+                statusPurpose: 'revocation'
+              },
+              value: true
+            }
+          });
+        }
+        return {
+          updates,
+          cursor: {
+            // common field
+            hasMore: index < credentialIds.length,
+            // use-case specific fields
+            index
+          }
+        };
+      };
+
+      // first call fails on the "dangling" record
+      let err;
+      try {
+        await syncCredentialStatus({syncId: 'test1', getStatusUpdates});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      let syncRecord = await syncRecords.get({id: 'test1'});
+      syncRecord.sync.sequence.should.equal(0);
+      syncRecord.sync.progress.completed.length.should.equal(3);
+
+      // second call retries only the failed update
+      let result;
+      try {
+        result = await syncCredentialStatus({
+          syncId: 'test1',
+          options: {ignoreCredentialNotFound: true},
+          getStatusUpdates
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(result);
+      result.updateCount.should.equal(1);
+      result.results.map(({outcome}) => outcome).should.eql([
+        'already-applied', 'already-applied', 'already-applied',
+        'skipped-not-found'
+      ]);
+      result.results[0].attempts.should.equal(0);
+
+      // progress should be cleared once the cursor advances
+      syncRecord = await syncRecords.get({id: 'test1'});
+      syncRecord.sync.sequence.should.equal(1);
+      syncRecord.sync.cursor.index.should.equal(4);
+      should.not.exist(syncRecord.sync.progress);
+    });
+
+    it('dead-letters failed updates w/"deadLetter=true"', async () => {
+      // add "dangling" `vcReference` record that has no associated VC
+      {
+        const credentialId = 'urn:special:not-found:1';
+        credentialIds.push(credentialId);
+        await vcReferences.insert({
+          reference: {
+            sequence: 0,
+            credentialId,
+            shouldRemain: true
+          }
+        });
+      }
+
+      const getStatusUpdates = async ({
+        cursor = {index: 0}, limit = 100
+      } = {}) => {
+        const updates = [];
+        let {index = 0} = cursor;
+        while(index < credentialIds.length) {
+          if(updates.length === limit) {
+            break;
+          }
+          const credentialId = credentialIds[index++];
+          updates.push({
+            credentialId,
+            getCredentialCapability,
+            updateStatusCapability,
+            status: {
+              indexAllocator: 'urn:correct',
+              credentialStatus: {
+                type: 'BitstringStatusListEntry',
+                statusPurpose: 'revocation'
+              },
+              value: true
+            }
+          });
+        }
+        return {
+          updates,
+          cursor: {
+            // common field
+            hasMore: index < credentialIds.length,
+            // use-case specific fields
+            index
+          }
+        };
+      };
+
+      let err;
+      let result;
+      try {
+        result = await syncCredentialStatus({
+          syncId: 'test1',
+          options: {deadLetter: true},
+          getStatusUpdates
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.updateCount.should.equal(3);
+      result.results.map(({outcome}) => outcome).should.eql(
+        ['applied', 'applied', 'applied', 'dead-lettered']);
+      should.exist(result.results[3].error);
+
+      // cursor should be advanced past the failed update
+      const syncRecord = await syncRecords.get({id: 'test1'});
+      syncRecord.sync.sequence.should.equal(1);
+      syncRecord.sync.cursor.index.should.equal(4);
+
+      const records = await syncDeadLetters.find({syncId: 'test1'});
+      records.length.should.equal(1);
+      const [{deadLetter}] = records;
+      deadLetter.syncId.should.equal('test1');
+      deadLetter.update.credentialId.should.equal('urn:special:not-found:1');
+      deadLetter.error.name.should.equal('OperationError');
+      deadLetter.attempts.length.should.equal(1);
+      for(const attempt of deadLetter.attempts) {
+        attempt.started.should.be.a('number');
+        attempt.duration.should.be.a('number');
+        attempt.error.name.should.equal('OperationError');
+      }
+      (await syncDeadLetters.find({syncId: 'other'})).length.should.equal(0);
+
+      // replaying fails again and keeps the record
+      err = undefined;
+      try {
+        await replayDeadLetter({
+          id: deadLetter.id, syncId: 'test1',
+          getCredentialCapability, updateStatusCapability
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('OperationError');
+      await syncDeadLetters.get({id: deadLetter.id, syncId: 'test1'});
+
+      // replaying w/"ignoreCredentialNotFound=true" succeeds and removes it
+      const replayed = await replayDeadLetter({
+        id: deadLetter.id, syncId: 'test1',
+        getCredentialCapability, updateStatusCapability,
+        options: {ignoreCredentialNotFound: true}
+      });
+      replayed.credentialId.should.equal('urn:special:not-found:1');
+      should.not.exist(replayed.credentialStatus);
+      (await syncDeadLetters.find({syncId: 'test1'})).length.should.equal(0);
+    });
+
+    it('stores no reference content in dead letter records', async () => {
+      const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+      cfg.vcReferences.recordEncryption.kek = {
+        id: 'urn:test:kek',
+        secretKeyMultibase: 'uogHJrlqLtq1bUzjn-TVqdxwZnQZFeADOn9n9mtjLQldjXE'
+      };
+      _loadReferenceKeys();
+      try {
+        // add "dangling" `vcReference` record that has no associated VC
+        const credentialId = 'urn:special:not-found:1';
+        await vcReferences.insert({
+          reference: {
+            sequence: 0,
+            credentialId,
+            subject: 'did:example:secret'
+          }
+        });
+        const {reference} = await vcReferences.get({credentialId});
+        const result = await syncCredentialStatus({
+          syncId: 'test1',
+          options: {deadLetter: true},
+          async getStatusUpdates() {
+            return {
+              updates: [{
+                reference,
+                referenceUpdate: {subject: 'did:example:new'},
+                getCredentialCapability,
+                updateStatusCapability,
+                status: {
+                  credentialStatus: {
+                    type: 'BitstringStatusListEntry',
+                    statusPurpose: 'revocation'
+                  },
+                  value: true
+                }
+              }],
+              cursor: {hasMore: false}
+            };
+          }
+        });
+        result.results[0].outcome.should.equal('dead-lettered');
+
+        // only the credential ID and the status update fields are stored and
+        // `referenceUpdate` is encrypted
+        const collection = database.collections[
+          syncDeadLetters.COLLECTION_NAME];
+        const stored = await collection.findOne({}, {projection: {_id: 0}});
+        Object.keys(stored.deadLetter.update).sort().should.eql(
+          ['credentialId', 'referenceUpdate', 'status']);
+        stored.deadLetter.update.credentialId.should.equal(credentialId);
+        Object.keys(stored.deadLetter.update.referenceUpdate).should.eql(
+          ['encrypted']);
+        const json = JSON.stringify(stored);
+        json.should.not.include('did:example:secret');
+        json.should.not.include('did:example:new');
+        json.should.not.include('urn:zcap');
+
+        // `referenceUpdate` is decrypted when read
+        const {deadLetter} = await syncDeadLetters.get({
+          id: stored.deadLetter.id, syncId: 'test1'
+        });
+        deadLetter.update.referenceUpdate.should.eql(
+          {subject: 'did:example:new'});
+
+        // replaying reads the reference again and applies `referenceUpdate`
+        await replayDeadLetter({
+          id: deadLetter.id, syncId: 'test1',
+          getCredentialCapability, updateStatusCapability,
+          options: {ignoreCredentialNotFound: true}
+        });
+        const record = await vcReferences.get({credentialId});
+        record.reference.sequence.should.equal(1);
+        record.reference.subject.should.equal('did:example:new');
+      } finally {
+        cfg.vcReferences.recordEncryption.kek = null;
+        _loadReferenceKeys();
+      }
+    });
+
+    it('discards dead-lettered updates', async () => {
+      const credentialId = credentialIds[0];
+      const update = {
+        credentialId,
+        getCredentialCapability,
+        updateStatusCapability,
+        status: {
+          credentialStatus: {
+            type: 'BitstringStatusListEntry',
+            statusPurpose: 'revocation'
+          },
+          value: true
+        }
+      };
+      await syncDeadLetters.insert({
+        id: 'z1', syncId: 'test1', update, error: new Error('Failed.')
+      });
+      // inserting again replaces the error
+      const record = await syncDeadLetters.insert({
+        id: 'z1', syncId: 'test1', update, error: new Error('Failed again.')
+      });
+      record.deadLetter.error.message.should.equal('Failed again.');
+      (await syncDeadLetters.find()).length.should.equal(1);
+
+      (await syncDeadLetters.remove({id: 'z1', syncId: 'test1'}))
+        .should.equal(true);
+      (await syncDeadLetters.remove({id: 'z1', syncId: 'test1'}))
+        .should.equal(false);
+      let err;
+      try {
+        await syncDeadLetters.get({id: 'z1', syncId: 'test1'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
     });
 
     it('passes w/ "ignoreCredentialNotFound=true"', async () => {
@@ -211,6 +546,14 @@ describe('Sync API', function() {
       // should be `4` with "dangling" `vcReference` record
       result.updateCount.should.equal(4);
       result.hasMore.should.equal(false);
+      result.results.map(({credentialId}) => credentialId).should.eql(
+        credentialIds);
+      result.results.map(({outcome}) => outcome).should.eql(
+        ['applied', 'applied', 'applied', 'skipped-not-found']);
+      for(const {attempts, error} of result.results) {
+        attempts.should.equal(1);
+        should.not.exist(error);
+      }
 
       // there should be no update to the reference records
       for(const credentialId of credentialIds) {
@@ -755,6 +1098,268 @@ describe('Sync API', function() {
       }
     });
 
+    it('ignores identifying properties in a reference update', async () => {
+      const [credentialId] = credentialIds;
+      const result = await syncCredentialStatus({
+        syncId: 'test1',
+        async getStatusUpdates() {
+          return {
+            updates: [{
+              credentialId,
+              referenceUpdate: {
+                credentialId: 'urn:uuid:other',
+                sequence: 5,
+                newProperty: 'foo'
+              },
+              getCredentialCapability,
+              updateStatusCapability,
+              status: {
+                indexAllocator: 'urn:correct',
+                credentialStatus: {
+                  type: 'BitstringStatusListEntry',
+                  statusPurpose: 'revocation'
+                },
+                value: true
+              }
+            }],
+            cursor: {hasMore: false}
+          };
+        }
+      });
+      result.updateCount.should.equal(1);
+
+      const record = await vcReferences.get({credentialId});
+      record.reference.credentialId.should.equal(credentialId);
+      record.reference.sequence.should.equal(1);
+      record.reference.newProperty.should.equal('foo');
+      record.reference.shouldRemain.should.equal(true);
+      const count = await vcReferences.count({
+        query: {'reference.credentialId': 'urn:uuid:other'}
+      });
+      count.should.equal(0);
+    });
+
+    it('fails w/ a reference update property containing "."', async () => {
+      let err;
+      try {
+        await syncCredentialStatus({
+          syncId: 'test1',
+          async getStatusUpdates() {
+            return {
+              updates: [{
+                credentialId: credentialIds[0],
+                referenceUpdate: {'nested.property': 'foo'},
+                getCredentialCapability,
+                updateStatusCapability,
+                status: {
+                  credentialStatus: {
+                    type: 'BitstringStatusListEntry',
+                    statusPurpose: 'revocation'
+                  },
+                  value: true
+                }
+              }],
+              cursor: {hasMore: false}
+            };
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('OperationError');
+      err.message.should.equal('Invalid status update object.');
+      const record = await vcReferences.get({credentialId: credentialIds[0]});
+      record.reference.sequence.should.equal(0);
+    });
+
+    it('skips non-issued references w/"skipNonIssued=true"', async () => {
+      // only mark the first VC as issued
+      await vcReferences.markIssued({credentialId: credentialIds[0]});
+      await vcReferences.markAbandoned({credentialId: credentialIds[1]});
+
+      let err;
+      let result;
+      try {
+        result = await syncCredentialStatus({
+          syncId: 'test1',
+          async getStatusUpdates({cursor = {index: 0}} = {}) {
+            const updates = credentialIds.map(credentialId => ({
+              credentialId,
+              referenceUpdate: {
+                newProperty: `foo-${credentialId}`
+              },
+              getCredentialCapability,
+              updateStatusCapability,
+              status: {
+                indexAllocator: 'urn:correct',
+                credentialStatus: {
+                  type: 'BitstringStatusListEntry',
+                  statusPurpose: 'revocation'
+                },
+                value: true
+              }
+            }));
+            return {
+              updates,
+              cursor: {
+                hasMore: false,
+                index: cursor.index + updates.length
+              }
+            };
+          },
+          options: {skipNonIssued: true}
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.results.map(({outcome}) => outcome).should.eql(
+        ['applied', 'skipped-non-issued', 'skipped-non-issued']);
+
+      // only the issued VC's reference record should be updated
+      const expectedSequences = [1, 0, 0];
+      for(const [i, credentialId] of credentialIds.entries()) {
+        const record = await vcReferences.get({credentialId});
+        record.reference.sequence.should.equal(expectedSequences[i]);
+      }
+    });
+
+    it('records status w/"recordStatus=true"', async () => {
+      let err;
+      let result;
+      try {
+        result = await syncCredentialStatus({
+          syncId: 'test1',
+          async getStatusUpdates({cursor = {index: 0}} = {}) {
+            const updates = credentialIds.map((credentialId, i) => ({
+              credentialId,
+              getCredentialCapability,
+              updateStatusCapability,
+              status: {
+                indexAllocator: 'urn:correct',
+                credentialStatus: {
+                  type: 'BitstringStatusListEntry',
+                  statusPurpose: 'revocation'
+                },
+                // only revoke the first VC
+                value: i === 0
+              }
+            }));
+            return {
+              updates,
+              cursor: {
+                hasMore: false,
+                index: cursor.index + updates.length
+              }
+            };
+          },
+          options: {recordStatus: true}
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+
+      for(const [i, credentialId] of credentialIds.entries()) {
+        const record = await vcReferences.get({credentialId});
+        // reference itself should not change
+        record.reference.sequence.should.equal(0);
+        const {revocation} = record.meta.status;
+        revocation.value.should.equal(i === 0);
+        revocation.indexAllocator.should.equal('urn:correct');
+        revocation.syncId.should.equal('test1');
+        revocation.updated.should.be.a('number');
+      }
+
+      // find revoked VCs for an index allocator locally
+      const query = {
+        'meta.status.revocation.value': true,
+        'meta.status.revocation.indexAllocator': 'urn:correct'
+      };
+      const records = await vcReferences.find({query});
+      records.length.should.equal(1);
+      records[0].reference.credentialId.should.equal(credentialIds[0]);
+      const {executionStats} = await vcReferences.find({query, explain: true});
+      executionStats.nReturned.should.equal(1);
+      executionStats.executionStages.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage.keyPattern
+        .should.have.property('$_path');
+    });
+
+    it('plans updates w/o writing w/"dryRun=true"', async () => {
+      // add "dangling" `vcReference` record that has no associated VC
+      const notFoundId = 'urn:special:not-found:1';
+      await vcReferences.insert({
+        reference: {sequence: 0, credentialId: notFoundId}
+      });
+
+      let err;
+      let result;
+      try {
+        result = await syncCredentialStatus({
+          syncId: 'dry-run',
+          async getStatusUpdates() {
+            const updates = [...credentialIds, notFoundId].map(
+              credentialId => ({
+                credentialId,
+                referenceUpdate: {newProperty: 'foo'},
+                getCredentialCapability,
+                updateStatusCapability,
+                status: {
+                  indexAllocator: 'urn:correct',
+                  credentialStatus: {
+                    type: 'BitstringStatusListEntry',
+                    statusPurpose: 'revocation'
+                  },
+                  value: true
+                }
+              }));
+            return {updates, cursor: {hasMore: false}};
+          },
+          options: {dryRun: true}
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.updateCount.should.equal(0);
+      result.hasMore.should.equal(false);
+      result.plan.length.should.equal(4);
+      for(const [i, credentialId] of credentialIds.entries()) {
+        const entry = result.plan[i];
+        entry.credentialId.should.equal(credentialId);
+        entry.credentialStatus.type.should.equal('BitstringStatusListEntry');
+        entry.credentialStatus.statusPurpose.should.equal('revocation');
+        entry.indexAllocator.should.equal('urn:correct');
+        entry.value.should.equal(true);
+        entry.referenceUpdate.should.eql({newProperty: 'foo'});
+        should.not.exist(entry.error);
+      }
+      const [, , , notFoundEntry] = result.plan;
+      notFoundEntry.credentialId.should.equal(notFoundId);
+      notFoundEntry.error.name.should.equal('OperationError');
+
+      // nothing should have been written
+      for(const credentialId of credentialIds) {
+        const record = await vcReferences.get({credentialId});
+        record.reference.sequence.should.equal(0);
+        should.not.exist(record.reference.newProperty);
+      }
+      let getError;
+      try {
+        await syncRecords.get({id: 'dry-run'});
+      } catch(e) {
+        getError = e;
+      }
+      should.exist(getError);
+      getError.name.should.equal('NotFoundError');
+    });
+
     it('syncs credential status w/multiple calls', async () => {
       // do more than 1 call to test zero updates
       const calls = credentialIds.length + 1;
@@ -930,5 +1535,181 @@ describe('Sync API', function() {
         }
       }
     });
+
+    describe('w/ "retry" option', () => {
+      let getStatusUpdates;
+      beforeEach(async () => {
+        getStatusUpdates = async ({cursor = {index: 0}} = {}) => {
+          const updates = credentialIds.slice(cursor.index).map(
+            credentialId => ({
+              credentialId,
+              getCredentialCapability,
+              updateStatusCapability,
+              status: {
+                indexAllocator: 'urn:correct',
+                credentialStatus: {
+                  type: 'BitstringStatusListEntry',
+                  statusPurpose: 'revocation'
+                },
+                value: true
+              }
+            }));
+          return {
+            updates,
+            cursor: {hasMore: false, index: credentialIds.length}
+          };
+        };
+      });
+
+      async function _addCredential({prefix}) {
+        const credentialId = `${prefix}${randomUUID()}`;
+        credentialIds.push(credentialId);
+        await vcReferences.insert({reference: {sequence: 0, credentialId}});
+        return credentialId;
+      }
+
+      it('retries a 5xx response', async () => {
+        await _addCredential({prefix: 'urn:special:flaky:'});
+
+        const result = await syncCredentialStatus({
+          syncId: 'test1',
+          options: {retry: {baseDelay: 1}},
+          getStatusUpdates
+        });
+        result.updateCount.should.equal(4);
+        const {outcome, attempts} = result.results[3];
+        outcome.should.equal('applied');
+        attempts.should.equal(2);
+      });
+
+      it('fails after "maxAttempts" attempts', async () => {
+        await _addCredential({prefix: 'urn:special:unavailable:'});
+
+        let err;
+        try {
+          await syncCredentialStatus({
+            syncId: 'test1',
+            options: {retry: {maxAttempts: 4, baseDelay: 1}},
+            getStatusUpdates
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('OperationError');
+        const {outcome, attempts} = err.details.results[3];
+        outcome.should.equal('failed');
+        attempts.should.equal(4);
+      });
+
+      it('does not retry an index allocator mismatch', async () => {
+        const credentialId = `urn:uuid:${randomUUID()}`;
+        credentialIds.push(credentialId);
+        await vcReferences.insert({
+          reference: {sequence: 0, credentialId, indexAllocator: 'urn:other'}
+        });
+
+        let err;
+        try {
+          await syncCredentialStatus({
+            syncId: 'test1',
+            options: {retry: {baseDelay: 1}},
+            getStatusUpdates
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.details.httpStatusCode.should.equal(500);
+        err.cause.details.httpStatusCode.should.equal(409);
+        err.cause.cause.name.should.equal('ConstraintError');
+        const {outcome, attempts} = err.details.results[3];
+        outcome.should.equal('failed');
+        attempts.should.equal(1);
+      });
+
+      it('classifies errors w/"isRetryableError()"', async () => {
+        const wrap = cause => new bedrock.util.BedrockError('Failed.', {
+          name: 'OperationError',
+          details: {httpStatusCode: 500, public: true},
+          cause
+        });
+        const constraintError = new bedrock.util.BedrockError('Mismatch.', {
+          name: 'ConstraintError',
+          details: {httpStatusCode: 409, public: true}
+        });
+        const httpError = status => Object.assign(
+          new Error('HTTP error.'), {status});
+        const networkError = Object.assign(
+          new Error('Connection reset.'), {code: 'ECONNRESET'});
+
+        isRetryableError({error: wrap(constraintError)}).should.equal(false);
+        isRetryableError({error: wrap(wrap(httpError(409)))})
+          .should.equal(false);
+        isRetryableError({error: wrap(httpError(404))}).should.equal(false);
+        isRetryableError({error: wrap(httpError(503))}).should.equal(true);
+        isRetryableError({error: wrap(networkError)}).should.equal(true);
+      });
+
+      it('uses a custom "shouldRetry" classifier', async () => {
+        const credentialId = await _addCredential({
+          prefix: 'urn:special:not-found:'
+        });
+
+        const calls = [];
+        let err;
+        try {
+          await syncCredentialStatus({
+            syncId: 'test1',
+            options: {
+              retry: {
+                baseDelay: 1,
+                shouldRetry({error, update, attempt}) {
+                  calls.push({error, update, attempt});
+                  return true;
+                }
+              }
+            },
+            getStatusUpdates
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.details.results[3].attempts.should.equal(3);
+        calls.map(({attempt}) => attempt).should.eql([1, 2]);
+        calls[0].update.credentialId.should.equal(credentialId);
+        calls[0].error.name.should.equal('OperationError');
+      });
+
+      it('aborts during a backoff delay', async () => {
+        await _addCredential({prefix: 'urn:special:unavailable:'});
+
+        const controller = new AbortController();
+        const start = Date.now();
+        let err;
+        try {
+          await syncCredentialStatus({
+            syncId: 'test1',
+            options: {
+              signal: controller.signal,
+              retry: {maxAttempts: 10, baseDelay: 600000, maxDelay: 600000}
+            },
+            async getStatusUpdates(...args) {
+              setTimeout(() => controller.abort(), 100);
+              return getStatusUpdates(...args);
+            }
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('AbortError');
+        (Date.now() - start).should.be.below(10000);
+        // the abort is wrapped so that the results are still reported
+        should.exist(err.cause);
+        err.details.results.length.should.equal(4);
+      });
+    });
   });
 });
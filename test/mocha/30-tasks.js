@@ -206,6 +206,96 @@ describe('Tasks API', function() {
         result[0].task.request.should.deep.equal({a: 1, b: 2});
       });
 
+      it('finds tasks by page', async () => {
+        for(let i = 0; i < 5; ++i) {
+          await tasks.create({request: {a: i}});
+        }
+
+        const ids = [];
+        let pageToken;
+        do {
+          const result = await tasks.findPage({limit: 2, pageToken});
+          for(const record of result.records) {
+            record.task.request.should.include.keys(['a']);
+            ids.push(record.task.id);
+          }
+          pageToken = result.nextPageToken ?? undefined;
+        } while(pageToken);
+        ids.length.should.equal(5);
+        ids.should.eql([...ids].sort());
+      });
+
+      it('iterates over tasks in batches', async () => {
+        for(let i = 0; i < 5; ++i) {
+          await tasks.create({request: {a: i}});
+        }
+
+        const results = [];
+        for await (const record of tasks.iterate({
+          options: {sort: {'meta.created': 1}},
+          batchSize: 2
+        })) {
+          results.push(record);
+        }
+        results.length.should.equal(5);
+        for(const record of results) {
+          record.should.include.keys(['task', 'meta']);
+          should.not.exist(record.task.encrypted);
+          record.task.request.should.include.keys(['a']);
+        }
+      });
+
+      it('stops iterating over tasks early', async () => {
+        for(let i = 0; i < 5; ++i) {
+          await tasks.create({request: {a: i}});
+        }
+
+        let count = 0;
+        for await (const record of tasks.iterate({batchSize: 2})) {
+          should.exist(record.task.request);
+          if(++count === 3) {
+            break;
+          }
+        }
+        count.should.equal(3);
+      });
+
+      it('mutates a task', async () => {
+        const {task: {id}} = await tasks.create({request: {a: 1}});
+
+        const record = await tasks.mutate({
+          id,
+          fn: async ({record}) => ({...record.task, result: {b: 2}})
+        });
+        record.task.sequence.should.equal(1);
+        record.task.result.should.deep.equal({b: 2});
+
+        const result = await tasks.get({id});
+        result.task.should.deep.equal(record.task);
+        result.meta.updated.should.equal(record.meta.updated);
+      });
+
+      it('retries a task mutation on conflict', async () => {
+        const {task: {id}} = await tasks.create({request: {a: 1}});
+
+        let calls = 0;
+        const record = await tasks.mutate({
+          id,
+          fn: async ({record}) => {
+            if(++calls === 1) {
+              // simulate a concurrent writer
+              await tasks.update({
+                task: {...record.task, sequence: record.task.sequence + 1}
+              });
+            }
+            return {...record.task, calls};
+          }
+        });
+        calls.should.equal(2);
+        record.task.sequence.should.equal(2);
+        record.task.calls.should.equal(2);
+      });
+
       it('deletes a task by "id"', async () => {
         let id;
         {
@@ -305,7 +395,7 @@ describe('Tasks API', function() {
       executionStats.executionStages.inputStage.inputStage.inputStage.stage
         .should.equal('IXSCAN');
       executionStats.executionStages.inputStage.inputStage.inputStage
-        .keyPattern.should.eql({'task.id': 1});
+        .keyPattern.should.eql({'meta.tenantId': 1, 'task.id': 1});
     });
     it('is properly indexed for query of ' +
       `'meta.created' in find()`, async function() {
@@ -322,7 +412,7 @@ describe('Tasks API', function() {
       executionStats.executionStages.inputStage.stage
         .should.equal('IXSCAN');
       executionStats.executionStages.inputStage
-        .keyPattern.should.eql({'meta.created': 1});
+        .keyPattern.should.eql({'meta.tenantId': 1, 'meta.created': 1});
     });
   });
 });
@@ -0,0 +1,163 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {
+  exportRecords, importRecords, syncRecords, tasks, vcReferences
+} from '@bedrock/vc-issuer-coordinator-storage';
+import {randomUUID} from 'node:crypto';
+import {Readable} from 'node:stream';
+
+describe('Backup API', function() {
+  let credentialId;
+  let taskId;
+  let expires;
+  beforeEach(async () => {
+    await helpers.cleanDatabase();
+    credentialId = `urn:uuid:${randomUUID()}`;
+    expires = new Date(Date.now() + 60 * 60 * 1000);
+    await vcReferences.insert({
+      reference: {credentialId, sequence: 0, a: 1}, expires
+    });
+    ({task: {id: taskId}} = await tasks.create({request: {a: 1}}));
+    await syncRecords.create({id: 'backup-test'});
+  });
+
+  it('exports and imports all records', async () => {
+    const ndjson = await _readAll(exportRecords());
+    const lines = ndjson.trim().split('\n').map(line => JSON.parse(line));
+    lines.length.should.equal(4);
+    lines[0].type.should.equal('VcIssuerCoordinatorStorageExport');
+    lines[0].version.should.equal(1);
+    lines.slice(1).map(({collection}) => collection).should.eql(
+      ['vcReferences', 'tasks', 'syncRecords']);
+    lines[1].record.meta.expires.should.eql({$date: expires.toISOString()});
+
+    await helpers.cleanDatabase();
+    const result = await importRecords({stream: Readable.from([ndjson])});
+    result.should.eql({importedCount: 3, skippedCount: 0});
+
+    const record = await vcReferences.get({credentialId});
+    record.reference.a.should.equal(1);
+    record.meta.expires.should.eql(expires);
+    const task = await tasks.get({id: taskId});
+    task.task.request.should.eql({a: 1});
+    await syncRecords.get({id: 'backup-test'});
+  });
+
+  it('exports and imports VC reference history', async () => {
+    const cfg = bedrock.config['vc-issuer-coordinator-storage'];
+    cfg.vcReferences.history.enabled = true;
+    try {
+      await vcReferences.update({
+        reference: {credentialId, sequence: 1, a: 2}
+      });
+    } finally {
+      cfg.vcReferences.history.enabled = false;
+    }
+
+    const ndjson = await _readAll(exportRecords({
+      collections: ['vcReferenceHistory']
+    }));
+    const lines = ndjson.trim().split('\n').map(line => JSON.parse(line));
+    lines.length.should.equal(2);
+    lines[1].collection.should.equal('vcReferenceHistory');
+    lines[1].record.history.credentialId.should.equal(credentialId);
+    lines[1].record.history.sequence.should.equal(0);
+
+    await helpers.cleanDatabase();
+    let result = await importRecords({stream: Readable.from([ndjson])});
+    result.should.eql({importedCount: 1, skippedCount: 0});
+    let entries = await vcReferences.getHistory({credentialId});
+    entries.length.should.equal(1);
+    entries[0].history.reference.a.should.equal(1);
+
+    // the same entry is replaced rather than duplicated
+    result = await importRecords({
+      stream: Readable.from([ndjson]), mode: 'overwrite'
+    });
+    result.should.eql({importedCount: 1, skippedCount: 0});
+    entries = await vcReferences.getHistory({credentialId});
+    entries.length.should.equal(1);
+  });
+
+  it('exports records from some collections w/a query', async () => {
+    const ndjson = await _readAll(exportRecords({
+      collections: ['vcReferences'],
+      query: {'reference.credentialId': credentialId}
+    }));
+    const lines = ndjson.trim().split('\n').map(line => JSON.parse(line));
+    lines.length.should.equal(2);
+    lines[0].collections.should.eql(['vcReferences']);
+    lines[1].record.reference.credentialId.should.equal(credentialId);
+  });
+
+  it('skips or overwrites duplicates', async () => {
+    const ndjson = await _readAll(exportRecords());
+    await vcReferences.update({
+      reference: {credentialId, sequence: 1, a: 2}
+    });
+
+    let result = await importRecords({
+      stream: Readable.from([ndjson]), mode: 'skip'
+    });
+    result.should.eql({importedCount: 0, skippedCount: 3});
+    let record = await vcReferences.get({credentialId});
+    record.reference.a.should.equal(2);
+
+    result = await importRecords({
+      stream: Readable.from([ndjson]), mode: 'overwrite'
+    });
+    result.should.eql({importedCount: 3, skippedCount: 0});
+    record = await vcReferences.get({credentialId});
+    record.reference.a.should.equal(1);
+  });
+
+  it('fails on duplicates by default', async () => {
+    const ndjson = await _readAll(exportRecords());
+    let err;
+    try {
+      await importRecords({stream: Readable.from([ndjson])});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+  });
+
+  it('fails to import w/o a valid header', async () => {
+    const ndjson = JSON.stringify({
+      collection: 'vcReferences',
+      record: {reference: {credentialId, sequence: 0}, meta: {}}
+    }) + '\n';
+    let err;
+    try {
+      await importRecords({stream: Readable.from([ndjson])});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DataError');
+    err.details.lineNumber.should.equal(1);
+  });
+
+  it('fails to export an unknown collection', async () => {
+    let err;
+    try {
+      exportRecords({collections: ['unknown']});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+});
+
+async function _readAll(stream) {
+  let text = '';
+  for await (const chunk of stream) {
+    text += chunk;
+  }
+  return text;
+}
@@ -0,0 +1,139 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as database from '@bedrock/mongodb';
+import * as helpers from './helpers.js';
+import {
+  assignTenant, dropLegacyIndexes, syncRecords, tasks, vcReferences
+} from '@bedrock/vc-issuer-coordinator-storage';
+import {randomUUID} from 'node:crypto';
+
+describe('Tenancy', function() {
+  beforeEach(async () => {
+    await helpers.cleanDatabase();
+  });
+
+  describe('tasks', () => {
+    it('scopes tasks to their tenant', async () => {
+      const request = {a: 1};
+      const {task} = await tasks.create({request, tenantId: 'a'});
+      // same request may be created for another tenant
+      await tasks.create({request, tenantId: 'b'});
+
+      const record = await tasks.get({id: task.id, tenantId: 'a'});
+      record.meta.tenantId.should.equal('a');
+      let err;
+      try {
+        await tasks.get({request});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+
+      await tasks.update({
+        task: {...task, sequence: 1, changed: true}, tenantId: 'a'
+      });
+      const other = await tasks.get({request, tenantId: 'b'});
+      other.task.sequence.should.equal(0);
+      (await tasks.find({tenantId: 'a'})).length.should.equal(1);
+      (await tasks.find()).length.should.equal(0);
+
+      await tasks.remove({request, tenantId: 'a'});
+      await tasks.get({request, tenantId: 'b'});
+    });
+  });
+
+  describe('syncRecords', () => {
+    it('scopes sync records to their tenant', async () => {
+      await syncRecords.create({id: 'sync', tenantId: 'a'});
+      await syncRecords.create({id: 'sync', tenantId: 'b'});
+      const record = await syncRecords.get({id: 'sync', tenantId: 'a'});
+      await syncRecords.update({
+        sync: {...record.sync, sequence: 1, cursor: {}}, tenantId: 'a'
+      });
+
+      const other = await syncRecords.get({id: 'sync', tenantId: 'b'});
+      other.sync.sequence.should.equal(0);
+      let err;
+      try {
+        await syncRecords.get({id: 'sync'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('assignTenant()', () => {
+    it('assigns untenanted records to a tenant', async () => {
+      const credentialId = randomUUID();
+      await vcReferences.insert({reference: {credentialId, sequence: 0}});
+      await vcReferences.insert({
+        reference: {credentialId: randomUUID(), sequence: 0}, tenantId: 'b'
+      });
+      const {task} = await tasks.create({request: {a: 1}});
+      await syncRecords.create({id: 'sync'});
+      // populate in-memory cache
+      await vcReferences.get({credentialId});
+
+      const result = await assignTenant({tenantId: 'a'});
+      result.should.eql({
+        modifiedCount: 3,
+        collections: {
+          vcReferences: 1, vcReferenceHistory: 0, tasks: 1, syncRecords: 1,
+          syncDeadLetters: 0
+        }
+      });
+
+      const record = await vcReferences.get({credentialId, tenantId: 'a'});
+      record.meta.tenantId.should.equal('a');
+      let err;
+      try {
+        await vcReferences.get({credentialId});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+      await tasks.get({id: task.id, tenantId: 'a'});
+      await syncRecords.get({id: 'sync', tenantId: 'a'});
+      (await vcReferences.count({tenantId: 'b'})).should.equal(1);
+    });
+
+    it('fails when the tenant has a record w/the same ID', async () => {
+      const credentialId = randomUUID();
+      await vcReferences.insert({reference: {credentialId, sequence: 0}});
+      await vcReferences.insert({
+        reference: {credentialId, sequence: 0}, tenantId: 'a'
+      });
+
+      let err;
+      try {
+        await assignTenant({tenantId: 'a', collections: ['vcReferences']});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+    });
+  });
+
+  describe('dropLegacyIndexes()', () => {
+    it('drops only the given legacy indexes', async () => {
+      const collection = database.collections[tasks.COLLECTION_NAME];
+      await collection.createIndex({'task.id': 1}, {name: 'task.id_1'});
+
+      let result = await dropLegacyIndexes({collections: ['tasks']});
+      result.should.eql({collections: {tasks: ['task.id_1']}});
+      const names = (await collection.indexes()).map(({name}) => name);
+      names.should.not.include('task.id_1');
+      names.should.include('meta.tenantId_1_task.id_1');
+
+      // dropping again is a no-op
+      result = await dropLegacyIndexes({collections: ['tasks']});
+      result.should.eql({collections: {tasks: []}});
+    });
+  });
+});
@@ -3,13 +3,16 @@
  */
 import * as database from '@bedrock/mongodb';
 import {
-  syncRecords, tasks, vcReferences
+  syncDeadLetters, syncRecords, tasks, vcReferences
 } from '@bedrock/vc-issuer-coordinator-storage';
 
 export async function cleanDatabase() {
+  await database.collections[syncDeadLetters.COLLECTION_NAME].deleteMany({});
   await database.collections[syncRecords.COLLECTION_NAME].deleteMany({});
   await database.collections[tasks.COLLECTION_NAME].deleteMany({});
   await database.collections[vcReferences.COLLECTION_NAME].deleteMany({});
+  await database.collections[vcReferences.HISTORY_COLLECTION_NAME]
+    .deleteMany({});
 }
 
 export async function insertRecord({record, collectionName}) {
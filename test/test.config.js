@@ -30,3 +30,13 @@ config.mongodb.port = 27017;
 config.mongodb.dropCollections = {};
 config.mongodb.dropCollections.onInit = true;
 config.mongodb.dropCollections.collections = [];
+
+// custom VC reference index
+config['vc-issuer-coordinator-storage'].indexes.vcReferences.push({
+  fields: {'reference.indexTest': 1},
+  options: {
+    unique: false,
+    partialFilterExpression: {'reference.indexTest': {$exists: true}},
+    collation: {locale: 'en', strength: 2}
+  }
+});
@@ -9,6 +9,8 @@ const {util: {BedrockError}} = bedrock;
 
 // in-memory credential status changes
 const STATUSES = new Map();
+// credential IDs of "flaky" VCs that have been requested
+const FLAKY_REQUESTS = new Set();
 
 // mock endpoints for tests
 bedrock.events.on('bedrock-express.configure.routes', app => {
@@ -27,6 +29,19 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
           }
         });
       }
+      // "unavailable" VCs always fail and "flaky" VCs fail on first request
+      if(credentialId.startsWith('urn:special:unavailable:') ||
+        (credentialId.startsWith('urn:special:flaky:') &&
+        !FLAKY_REQUESTS.has(credentialId))) {
+        FLAKY_REQUESTS.add(credentialId);
+        throw new BedrockError('Service unavailable.', {
+          name: 'OperationError',
+          details: {
+            httpStatusCode: 503,
+            public: true
+          }
+        });
+      }
       res.json({
         verifiableCredential: {
           '@context': [